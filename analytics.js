@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const path = require('path');
+const { storeDataDir } = require('./stores');
+const { readJson, writeJson, createWriteQueue } = require('./storage');
+const { bannerIdentity } = require('./overrides');
+
+const RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS) || 365;
+const SAVE_DELAY = 5000; // events are batched in memory for up to 5 seconds
+// Beyond this many origins per banner and day, new ones are counted as "other"
+const MAX_ORIGINS = 100;
+const MAX_ORIGIN_LENGTH = 200;
+
+const enqueueAnalyticsWrite = createWriteQueue();
+
+// Loaded per store on first use, kept in memory and saved after changes
+const states = {};
+const saveTimers = {};
+
+function analyticsFile(storeId) {
+  return path.join(storeDataDir(storeId), 'analytics.json');
+}
+
+async function loadState(storeId) {
+  if (!states[storeId]) {
+    states[storeId] = readJson(analyticsFile(storeId), null)
+      .then(state => ({ banners: {}, days: {}, ...state }));
+  }
+  return states[storeId];
+}
+
+function scheduleSave(storeId) {
+  if (saveTimers[storeId]) return;
+  saveTimers[storeId] = setTimeout(() => {
+    delete saveTimers[storeId];
+    saveState(storeId).catch(error => {
+      console.error(`[${new Date().toISOString()}] [${storeId}] Failed to save analytics: ${error.message}`);
+    });
+  }, SAVE_DELAY);
+}
+
+function saveState(storeId) {
+  return enqueueAnalyticsWrite(async () => {
+    const state = await loadState(storeId);
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    for (const day of Object.keys(state.days)) {
+      if (day < cutoff) delete state.days[day];
+    }
+    await writeJson(analyticsFile(storeId), state);
+  });
+}
+
+// Write pending events now, e.g. before shutting down
+async function flushAnalytics() {
+  for (const storeId of Object.keys(saveTimers)) {
+    clearTimeout(saveTimers[storeId]);
+    delete saveTimers[storeId];
+    await saveState(storeId);
+  }
+}
+
+/**
+ * Short, URL-safe id for a banner, stable across scrapes because it's
+ * derived from the banner's override identity.
+ */
+function trackingId(banner) {
+  return crypto.createHash('sha256').update(bannerIdentity(banner)).digest('hex').slice(0, 12);
+}
+
+// Reduce an embedding page URL or origin to its origin, or null
+function normalizeOrigin(value) {
+  if (typeof value !== 'string' || value.length === 0) return null;
+  try {
+    const u = new URL(value);
+    if ((u.protocol === 'http:' || u.protocol === 'https:') && u.origin.length <= MAX_ORIGIN_LENGTH) return u.origin;
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+// Calendar day of an instant in the store's timezone, as YYYY-MM-DD
+function localDay(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Point the links of a banners result at the click redirect and add each
+ * banner's `trackingId` and `impressionUrl`. `baseUrl` is this API's public
+ * URL. The banners' current links are remembered so the redirect still
+ * works for a while after a banner leaves the menu.
+ */
+async function trackBanners(store, result, baseUrl) {
+  const state = await loadState(store.id);
+  const query = `?store=${encodeURIComponent(store.id)}`;
+  let changed = false;
+
+  const banners = result.banners.map(banner => {
+    const id = trackingId(banner);
+    const known = state.banners[id];
+    if (!known || known.link !== banner.link || known.alt !== banner.alt || known.src !== banner.src) {
+      state.banners[id] = { key: bannerIdentity(banner), src: banner.src, alt: banner.alt || '', link: banner.link || null };
+      changed = true;
+    }
+    return {
+      ...banner,
+      trackingId: id,
+      ...(banner.link && { link: `${baseUrl}/r/${id}${query}`, originalLink: banner.link }),
+      impressionUrl: `${baseUrl}/r/${id}/impression${query}`
+    };
+  });
+
+  if (changed) scheduleSave(store.id);
+  return { ...result, banners };
+}
+
+// What a tracking id last pointed at ({ key, src, alt, link }), or null if
+// it was never served with tracking
+async function getTrackedBanner(storeId, id) {
+  const state = await loadState(storeId);
+  return state.banners[id] || null;
+}
+
+/**
+ * Count a click or impression of banner `id` on the store's current day.
+ * `origin` is the embedding page's origin (null when unknown).
+ */
+async function recordEvent(store, type, id, origin, at = new Date()) {
+  const state = await loadState(store.id);
+  const day = localDay(at, store.timezone);
+  const banners = state.days[day] || (state.days[day] = {});
+  const origins = banners[id] || (banners[id] = {});
+  let bucket = origin || 'unknown';
+  if (!origins[bucket] && Object.keys(origins).length >= MAX_ORIGINS) bucket = 'other';
+  const counts = origins[bucket] || (origins[bucket] = { clicks: 0, impressions: 0 });
+  counts[type === 'click' ? 'clicks' : 'impressions']++;
+  scheduleSave(store.id);
+}
+
+const withCtr = (row) => ({ ...row, ctr: row.impressions > 0 ? Math.round((row.clicks / row.impressions) * 10000) / 10000 : null });
+
+function addCounts(map, key, init, counts) {
+  const row = map.get(key) || { ...init, clicks: 0, impressions: 0 };
+  row.clicks += counts.clicks;
+  row.impressions += counts.impressions;
+  map.set(key, row);
+}
+
+/**
+ * Clicks, impressions and CTR (clicks / impressions) between two days
+ * (inclusive, YYYY-MM-DD in the store's timezone), in total and per
+ * banner, per day and per embedding origin. `banner` and `origin`
+ * restrict the counts to one banner or origin.
+ */
+async function getAnalytics(store, { from, to, banner, origin } = {}) {
+  const state = await loadState(store.id);
+  const totals = { clicks: 0, impressions: 0 };
+  const byBanner = new Map();
+  const byDay = new Map();
+  const byOrigin = new Map();
+
+  for (const day of Object.keys(state.days).sort()) {
+    if ((from && day < from) || (to && day > to)) continue;
+    for (const [id, origins] of Object.entries(state.days[day])) {
+      if (banner && id !== banner) continue;
+      for (const [name, counts] of Object.entries(origins)) {
+        if (origin && name !== origin) continue;
+        totals.clicks += counts.clicks;
+        totals.impressions += counts.impressions;
+        addCounts(byBanner, id, { id, ...state.banners[id] }, counts);
+        addCounts(byDay, day, { date: day }, counts);
+        addCounts(byOrigin, name, { origin: name }, counts);
+      }
+    }
+  }
+
+  const byClicks = (a, b) => b.clicks - a.clicks || b.impressions - a.impressions;
+  return {
+    store: store.id,
+    from: from || null,
+    to: to || null,
+    totals: withCtr(totals),
+    banners: [...byBanner.values()].map(withCtr).sort(byClicks),
+    days: [...byDay.values()].map(withCtr),
+    origins: [...byOrigin.values()].map(withCtr).sort(byClicks)
+  };
+}
+
+module.exports = {
+  analyticsFile,
+  trackingId,
+  normalizeOrigin,
+  trackBanners,
+  getTrackedBanner,
+  recordEvent,
+  getAnalytics,
+  flushAnalytics
+};
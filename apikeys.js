@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR } = require('./stores');
+const { readJson, writeJson, createWriteQueue } = require('./storage');
+
+const KEYS_FILE = path.join(DATA_DIR, 'api-keys.json');
+
+// read: banners, feeds, widget and live updates; refresh: trigger a scrape;
+// admin: everything, including key management
+const SCOPES = ['read', 'refresh', 'admin'];
+const RATE_WINDOW = 60 * 1000; // rate limits are requests per minute
+const MAX_RATE_LIMIT = 100000;
+
+const enqueueKeyWrite = createWriteQueue();
+
+class ApiKeyError extends Error {
+  constructor(status, message, retryAfter = null) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = 'API_KEY_REJECTED';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Managed keys are kept in memory and persisted after every change. Only a
+// SHA-256 hash of each key is stored; the key itself is shown once, on creation.
+let keys = null;
+
+async function loadKeys() {
+  if (!keys) keys = await readJson(KEYS_FILE, []);
+  return keys;
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function publicKey({ hash, ...key }) {
+  return key;
+}
+
+// Keys from API_KEY and ADMIN_API_KEY. API_KEY never gets the admin scope:
+// /widget and the WordPress plugin put it in page source.
+function envKeys() {
+  const list = [];
+  if (process.env.API_KEY) {
+    list.push({ id: 'env:API_KEY', name: 'API_KEY', secret: process.env.API_KEY, scopes: ['read', 'refresh'] });
+  }
+  if (process.env.ADMIN_API_KEY) {
+    list.push({ id: 'env:ADMIN_API_KEY', name: 'ADMIN_API_KEY', secret: process.env.ADMIN_API_KEY, scopes: SCOPES });
+  }
+  return list;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Whether read and refresh routes must carry a key: true once API_KEY or a
+ * managed key with the read or refresh scope exists. Admin-only keys, like
+ * ADMIN_API_KEY, leave an open API open; admin routes always need a key
+ * (see adminKeyConfigured).
+ */
+async function authRequired() {
+  if (process.env.API_KEY) return true;
+  return (await loadKeys()).some(k => k.scopes.some(s => s !== 'admin'));
+}
+
+/**
+ * Whether the admin API is enabled: ADMIN_API_KEY is set or a managed key
+ * with the admin scope is live. Otherwise admin routes, key management
+ * included, are refused even when the rest of the API is open, so nobody
+ * can create the first admin key for themselves.
+ */
+async function adminKeyConfigured() {
+  if (process.env.ADMIN_API_KEY) return true;
+  const now = Date.now();
+  return (await loadKeys()).some(k => k.scopes.includes('admin') && !k.revokedAt && !(k.expiresAt && Date.parse(k.expiresAt) <= now));
+}
+
+function validateKeyOptions({ name, scopes, origins, expiresAt, rateLimit }) {
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    throw new Error('name must be a non-empty string of up to 100 characters');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => SCOPES.includes(s))) {
+    throw new Error(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+  }
+  if (origins != null) {
+    const valid = Array.isArray(origins) && origins.every(o => {
+      try {
+        const u = new URL(o);
+        return (u.protocol === 'http:' || u.protocol === 'https:') && u.origin === o;
+      } catch {
+        return false;
+      }
+    });
+    if (!valid) {
+      throw new Error('origins must be an array of origins such as https://shop.example.com');
+    }
+  }
+  if (expiresAt != null && (typeof expiresAt !== 'string' || Number.isNaN(Date.parse(expiresAt)))) {
+    throw new Error('expiresAt must be an ISO 8601 date');
+  }
+  if (rateLimit != null && (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT)) {
+    throw new Error(`rateLimit must be an integer from 1 to ${MAX_RATE_LIMIT} (requests per minute)`);
+  }
+}
+
+async function listKeys() {
+  return (await loadKeys()).map(publicKey);
+}
+
+/**
+ * Create a managed key. `scopes` is any of read, refresh and admin;
+ * `origins` restricts browser use to those origins, `expiresAt` ends it and
+ * `rateLimit` caps it at that many requests per minute. Returns the key's
+ * record with the key itself in `key`, which isn't retrievable later.
+ */
+function createKey({ name, scopes, origins, expiresAt, rateLimit }) {
+  validateKeyOptions({ name, scopes, origins, expiresAt, rateLimit });
+
+  return enqueueKeyWrite(async () => {
+    await loadKeys();
+    const secret = `dbk_${crypto.randomBytes(24).toString('hex')}`;
+    const key = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      prefix: secret.slice(0, 12),
+      hash: hashKey(secret),
+      scopes: [...new Set(scopes)],
+      origins: origins && origins.length > 0 ? origins : null,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      rateLimit: rateLimit || null,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    keys.push(key);
+    await writeJson(KEYS_FILE, keys);
+    return { ...publicKey(key), key: secret };
+  });
+}
+
+// Revoke a managed key; it stays listed with `revokedAt` set. Returns the
+// updated record, or null for an unknown id.
+function revokeKey(id) {
+  return enqueueKeyWrite(async () => {
+    const key = (await loadKeys()).find(k => k.id === id);
+    if (!key) return null;
+    if (!key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+      rateWindows.delete(key.id);
+      await writeJson(KEYS_FILE, keys);
+    }
+    return publicKey(key);
+  });
+}
+
+// key id -> { start, count } for the current one-minute window
+const rateWindows = new Map();
+
+function takeRequest(key, now) {
+  let window = rateWindows.get(key.id);
+  if (!window || now - window.start >= RATE_WINDOW) {
+    window = { start: now, count: 0 };
+    rateWindows.set(key.id, window);
+  }
+  window.count++;
+  return {
+    limit: key.rateLimit,
+    remaining: Math.max(0, key.rateLimit - window.count),
+    reset: Math.ceil((window.start + RATE_WINDOW - now) / 1000),
+    allowed: window.count <= key.rateLimit
+  };
+}
+
+/**
+ * Check a presented key for a request needing `scope`. `origin` is the
+ * origin of the calling page (from Origin or Referer, null if neither was
+ * sent) and `ownOrigin` this API's origin, which origin-restricted keys may
+ * always use (the /widget page calls back into the API). Returns
+ * { key, rate } where `key` is { id, name, scopes } and `rate` the rate
+ * limit state (null if unlimited), or throws ApiKeyError with the HTTP status.
+ */
+async function authenticateKey(presented, { scope, origin, ownOrigin }) {
+  let key = envKeys().find(k => safeEqual(presented, k.secret));
+  if (!key) {
+    const hash = hashKey(presented);
+    key = (await loadKeys()).find(k => k.hash === hash);
+  }
+
+  if (!key) throw new ApiKeyError(403, 'Invalid API key');
+  if (key.revokedAt) throw new ApiKeyError(403, 'API key has been revoked');
+  if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) throw new ApiKeyError(403, 'API key has expired');
+  if (!key.scopes.includes(scope) && !key.scopes.includes('admin')) {
+    throw new ApiKeyError(403, `API key lacks the "${scope}" scope`);
+  }
+  if (key.origins && origin !== ownOrigin && !key.origins.includes(origin)) {
+    throw new ApiKeyError(403, origin ? `API key is not allowed from ${origin}` : 'API key is restricted to browser requests from allowed origins');
+  }
+
+  let rate = null;
+  if (key.rateLimit) {
+    rate = takeRequest(key, Date.now());
+    if (!rate.allowed) {
+      const error = new ApiKeyError(429, `Rate limit of ${key.rateLimit} requests per minute exceeded`, rate.reset);
+      error.rate = rate;
+      throw error;
+    }
+  }
+
+  return { key: { id: key.id, name: key.name, scopes: key.scopes }, rate };
+}
+
+module.exports = { SCOPES, ApiKeyError, authRequired, adminKeyConfigured, listKeys, createKey, revokeKey, authenticateKey };
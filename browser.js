@@ -0,0 +1,198 @@
+// A warm Chromium shared by all scrapes. Each scrape attempt gets a fresh
+// incognito context, so no cookies or cache leak between runs, and the
+// browser is restarted after BROWSER_MAX_USES contexts, when it crashes or
+// when its memory use passes BROWSER_MAX_MEMORY_MB.
+const puppeteer = require('puppeteer');
+const fs = require('fs').promises;
+
+const MAX_USES = parseInt(process.env.BROWSER_MAX_USES) || 20;
+const MAX_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB) || 768;
+const MEMORY_SAMPLE_INTERVAL = 1000;
+
+let browser = null;
+let launching = null;
+let closing = false;
+const stats = {
+  launchedAt: null,
+  uses: 0,
+  launches: 0,
+  restarts: 0,
+  lastRestartReason: null,
+  lastRestartAt: null
+};
+
+async function launchBrowser() {
+  const instance = await puppeteer.launch({
+    headless: 'new',
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-features=TranslateUI'
+    ],
+    // Shutdown is handled by the server (closeBrowser), not by exiting on the spot
+    handleSIGINT: false,
+    handleSIGTERM: false,
+    handleSIGHUP: false
+  });
+
+  instance.on('disconnected', () => {
+    if (browser !== instance) return;
+    browser = null;
+    if (!closing) {
+      noteRestart('crashed');
+      console.error(`[${new Date().toISOString()}] Browser disconnected unexpectedly, relaunching on next scrape`);
+    }
+  });
+
+  browser = instance;
+  stats.launchedAt = new Date().toISOString();
+  stats.uses = 0;
+  stats.launches++;
+  console.log(`[${new Date().toISOString()}] Browser launched (pid ${instance.process() ? instance.process().pid : 'unknown'})`);
+  return instance;
+}
+
+// The running browser, launching it first if needed
+function getBrowser() {
+  if (browser && browser.isConnected()) return Promise.resolve(browser);
+  if (!launching) {
+    launching = launchBrowser().finally(() => { launching = null; });
+  }
+  return launching;
+}
+
+function noteRestart(reason) {
+  stats.restarts++;
+  stats.lastRestartReason = reason;
+  stats.lastRestartAt = new Date().toISOString();
+}
+
+async function restartBrowser(reason) {
+  const instance = browser;
+  browser = null;
+  noteRestart(reason);
+  console.log(`[${new Date().toISOString()}] Restarting browser: ${reason}`);
+  if (instance) {
+    try {
+      await instance.close();
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] Error closing browser:`, e.message);
+    }
+  }
+}
+
+/**
+ * Resident memory of a process and all its descendants in MB, read from
+ * /proc (Linux only; null elsewhere or if the process is gone).
+ */
+async function processTreeMemoryMb(rootPid) {
+  let entries;
+  try {
+    entries = await fs.readdir('/proc');
+  } catch {
+    return null;
+  }
+
+  const children = new Map();
+  const rss = new Map();
+  await Promise.all(entries.filter(e => /^\d+$/.test(e)).map(async pid => {
+    try {
+      const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+      const ppid = status.match(/^PPid:\s+(\d+)/m);
+      const vmRss = status.match(/^VmRSS:\s+(\d+) kB/m);
+      if (ppid) {
+        if (!children.has(ppid[1])) children.set(ppid[1], []);
+        children.get(ppid[1]).push(pid);
+      }
+      rss.set(pid, vmRss ? parseInt(vmRss[1]) : 0);
+    } catch {
+      // Process exited while we were reading
+    }
+  }));
+
+  if (!rss.has(String(rootPid))) return null;
+  let totalKb = 0;
+  const queue = [String(rootPid)];
+  while (queue.length > 0) {
+    const pid = queue.pop();
+    totalKb += rss.get(pid) || 0;
+    queue.push(...(children.get(pid) || []));
+  }
+  return Math.round(totalKb / 1024);
+}
+
+function browserMemoryMb(instance = browser) {
+  const child = instance && instance.process();
+  return child ? processTreeMemoryMb(child.pid) : Promise.resolve(null);
+}
+
+/**
+ * Open a fresh incognito context in the warm browser. Call release() when
+ * done: it closes the context, restarts the browser if it's due and
+ * resolves with the browser's memory use in MB before, at the peak of and
+ * after the lease ({ beforeMb, peakMb, afterMb }, null where unavailable).
+ */
+async function acquireContext() {
+  const instance = await getBrowser();
+  const context = await instance.createIncognitoBrowserContext();
+  stats.uses++;
+
+  const beforeMb = await browserMemoryMb(instance);
+  let peakMb = beforeMb;
+  const sampler = setInterval(() => {
+    browserMemoryMb(instance).then(mb => {
+      if (mb !== null && (peakMb === null || mb > peakMb)) peakMb = mb;
+    });
+  }, MEMORY_SAMPLE_INTERVAL);
+  sampler.unref();
+
+  async function release() {
+    clearInterval(sampler);
+    try {
+      await context.close();
+    } catch {
+      // The browser crashed or was closed; the context went with it
+    }
+
+    const afterMb = instance.isConnected() ? await browserMemoryMb(instance) : null;
+    if (afterMb !== null && (peakMb === null || afterMb > peakMb)) peakMb = afterMb;
+
+    if (browser === instance) {
+      if (stats.uses >= MAX_USES) {
+        await restartBrowser(`reached ${MAX_USES} uses`);
+      } else if (peakMb !== null && peakMb > MAX_MEMORY_MB) {
+        await restartBrowser(`memory peaked at ${peakMb} MB (limit ${MAX_MEMORY_MB} MB)`);
+      }
+    }
+    return { beforeMb, peakMb, afterMb };
+  }
+
+  return { context, release };
+}
+
+// Close the browser, e.g. on shutdown
+async function closeBrowser() {
+  closing = true;
+  if (launching) await launching.catch(() => {});
+  const instance = browser;
+  browser = null;
+  if (instance) await instance.close().catch(() => {});
+}
+
+// Browser state for /api/status
+async function getBrowserStats() {
+  const running = !!(browser && browser.isConnected());
+  return {
+    running,
+    pid: running && browser.process() ? browser.process().pid : null,
+    memoryMb: running ? await browserMemoryMb() : null,
+    maxUses: MAX_USES,
+    maxMemoryMb: MAX_MEMORY_MB,
+    ...stats
+  };
+}
+
+module.exports = { acquireContext, closeBrowser, getBrowserStats };
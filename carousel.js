@@ -0,0 +1,809 @@
+// The banner carousel shared by the /widget page and the <dutchie-banners>
+// element from /embed.js: its styles, markup and browser-side behaviour.
+
+// Scoped to the carousel so it can live in a Shadow DOM on any page
+const CAROUSEL_CSS = `
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  .promo-carousel {
+    width: 100%;
+    max-width: 100vw;
+    overflow: hidden;
+    position: relative;
+    touch-action: pan-y pinch-zoom;
+    cursor: grab;
+    -webkit-user-select: none;
+    user-select: none;
+    -webkit-touch-callout: none;
+    box-sizing: border-box;
+  }
+  .promo-carousel.dragging { cursor: grabbing; }
+  .promo-track {
+    display: flex;
+    transition: transform 0.4s ease;
+  }
+  .promo-slide {
+    min-width: 100%;
+    max-width: 100%;
+    flex-shrink: 0;
+    overflow: hidden;
+    box-sizing: border-box;
+  }
+  .promo-slide img {
+    width: 100% !important;
+    max-width: 100% !important;
+    height: auto !important;
+    display: block;
+    pointer-events: none;
+    -webkit-user-drag: none;
+    -webkit-touch-callout: none;
+  }
+  .promo-slide picture {
+    display: block;
+    width: 100%;
+    max-width: 100%;
+  }
+  .promo-slide a {
+    display: block;
+    width: 100%;
+    max-width: 100%;
+  }
+  .promo-nav {
+    position: absolute;
+    top: 50%;
+    transform: translateY(-50%);
+    background: rgba(0,0,0,0.5);
+    color: white;
+    border: none;
+    padding: 15px 10px;
+    cursor: pointer;
+    font-size: 18px;
+    z-index: 10;
+    transition: background 0.2s;
+  }
+  .promo-nav:hover { background: rgba(0,0,0,0.8); }
+  .promo-prev { left: 0; border-radius: 0 4px 4px 0; }
+  .promo-next { right: 0; border-radius: 4px 0 0 4px; }
+  .promo-dots {
+    text-align: center;
+    padding: 10px 0;
+  }
+  /* 24px buttons around the visible dot, the WCAG 2.2 minimum target size */
+  .promo-dot {
+    display: inline-block;
+    width: 24px;
+    height: 24px;
+    padding: 0;
+    border: none;
+    background: none;
+    cursor: pointer;
+    vertical-align: middle;
+  }
+  .promo-dot::before {
+    content: '';
+    display: block;
+    width: 10px;
+    height: 10px;
+    margin: 7px;
+    border-radius: 50%;
+    background: #ccc;
+    transition: all 0.3s;
+  }
+  .promo-dot.active::before {
+    background: var(--promo-accent, #004a71);
+  }
+  .promo-carousel button:focus-visible {
+    outline: 3px solid var(--promo-accent, #004a71);
+    outline-offset: 2px;
+  }
+  .promo-pause {
+    position: absolute;
+    top: 8px;
+    left: 8px;
+    min-width: 28px;
+    height: 24px;
+    background: rgba(0,0,0,0.5);
+    color: #fff;
+    border: none;
+    border-radius: 12px;
+    font-size: 11px;
+    cursor: pointer;
+    z-index: 11;
+  }
+  .promo-pause:hover { background: rgba(0,0,0,0.8); }
+  .promo-sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    margin: -1px;
+    padding: 0;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+    border: 0;
+  }
+  .promo-error {
+    flex: 1;
+    padding: 20px;
+    text-align: center;
+    color: #666;
+  }
+  .promo-counter {
+    position: absolute;
+    top: 8px;
+    right: 8px;
+    background: rgba(0,0,0,0.5);
+    color: #fff;
+    font-size: 12px;
+    padding: 2px 10px;
+    border-radius: 10px;
+    z-index: 10;
+    font-weight: 500;
+    display: none;
+  }
+  .promo-zoom-lens {
+    position: fixed;
+    width: 250px;
+    height: 250px;
+    border-radius: 50%;
+    border: 3px solid rgba(255,255,255,0.9);
+    box-shadow: 0 4px 20px rgba(0,0,0,0.4);
+    pointer-events: none;
+    display: none;
+    z-index: 10000;
+    overflow: hidden;
+    background-repeat: no-repeat;
+    background-color: #000;
+  }
+  .promo-hint {
+    position: absolute;
+    bottom: 35px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: rgba(0,0,0,0.6);
+    color: #fff;
+    font-size: 11px;
+    padding: 4px 12px;
+    border-radius: 12px;
+    z-index: 10;
+    pointer-events: none;
+    white-space: nowrap;
+    opacity: 0;
+    transition: opacity 0.5s;
+  }
+  @media (min-width: 769px) {
+    .promo-hint { display: none !important; }
+  }
+  @media (max-width: 768px) {
+    .promo-carousel { padding-bottom: 50px; }
+    .promo-counter { display: block; }
+    .promo-nav {
+      padding: 10px 8px;
+      font-size: 16px;
+      background: rgba(0,0,0,0.3);
+    }
+    .promo-hint {
+      bottom: 24px;
+    }
+    .promo-dots {
+      position: absolute;
+      bottom: 4px;
+      left: 0;
+      right: 0;
+      padding: 0;
+      pointer-events: none;
+    }
+    .promo-dot {
+      pointer-events: auto;
+    }
+    .promo-dot::before {
+      width: 8px;
+      height: 8px;
+      margin: 8px;
+      background: rgba(255,255,255,0.5);
+    }
+    .promo-dot.active::before {
+      background: var(--promo-accent, #fff);
+      transform: scale(1.3);
+    }
+  }
+  @media (prefers-reduced-motion: reduce) {
+    .promo-track,
+    .promo-carousel.promo-fade .promo-slide,
+    .promo-dot::before,
+    .promo-hint { transition: none !important; }
+  }
+  /* Widget options */
+  .promo-carousel.promo-aspect .promo-slide img {
+    aspect-ratio: var(--promo-aspect);
+    object-fit: cover;
+  }
+  .promo-carousel.promo-fade .promo-track {
+    display: grid;
+    transform: none !important;
+  }
+  .promo-carousel.promo-fade .promo-slide {
+    grid-area: 1 / 1;
+    opacity: 0;
+    visibility: hidden;
+    transition: opacity 0.4s ease, visibility 0.4s;
+  }
+  .promo-carousel.promo-fade .promo-slide.active {
+    opacity: 1;
+    visibility: visible;
+  }
+  .promo-carousel.promo-no-arrows .promo-nav,
+  .promo-carousel.promo-no-dots .promo-dots { display: none; }
+  .promo-carousel.promo-arrows-hover .promo-nav {
+    opacity: 0;
+    transition: opacity 0.2s, background 0.2s;
+  }
+  .promo-carousel.promo-arrows-hover:hover .promo-nav,
+  .promo-carousel.promo-arrows-hover .promo-nav:focus { opacity: 1; }
+  .promo-nav:disabled { opacity: 0.3 !important; cursor: default; }
+`;
+
+const CAROUSEL_HTML = `
+  <section class="promo-carousel" id="promoCarousel" aria-roledescription="carousel" aria-label="Promotions">
+    <button type="button" class="promo-pause" id="promoPause" aria-controls="promoTrack" hidden></button>
+    <div class="promo-track" id="promoTrack"></div>
+    <button type="button" class="promo-nav promo-prev" aria-controls="promoTrack" aria-label="Previous slide">&lt;</button>
+    <button type="button" class="promo-nav promo-next" aria-controls="promoTrack" aria-label="Next slide">&gt;</button>
+    <div class="promo-counter" id="promoCounter" aria-hidden="true"></div>
+    <div class="promo-hint" id="promoHint" aria-hidden="true"></div>
+    <div class="promo-dots" id="promoDots" role="tablist" aria-label="Choose a slide"></div>
+    <div class="promo-sr-only" id="promoStatus" aria-live="polite" aria-atomic="true"></div>
+  </section>
+`;
+
+/**
+ * Browser-side carousel: fetches banners from `options.apiUrl` and renders
+ * them into `root` (a Document or ShadowRoot containing CAROUSEL_HTML).
+ * The other options are those of widget-options.js, already validated;
+ * missing ones take the defaults. Returns { destroy } to stop timers and
+ * listeners.
+ *
+ * This function is sent to the browser with toString(), so it must not use
+ * anything from this module or Node.
+ */
+function createDutchieCarousel(root, options) {
+  var API_URL = options.apiUrl;
+  var AUTOPLAY = options.autoplay !== false;
+  var INTERVAL = options.interval || 5000;
+  var FADE = options.transition === 'fade';
+  var LOOP = options.loop !== false;
+  var TRACK = options.track === true;
+  var REDUCED_MOTION = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  var currentSlide = 0;
+  var slideCount = 0;
+  var slideKeys = [];
+  var initialized = false;
+  var eventSource = null;
+  var reconnectTimer = null;
+  var reconnectDelay = 1000;
+  var autoplayInterval;
+  // Autoplay waits while the user has paused it, or hovers or focuses the
+  // carousel. With reduced motion it starts paused.
+  var userPaused = REDUCED_MOTION;
+  var hoverPaused = false;
+  var focusPaused = false;
+
+  // Impression tracking: each slide counts once per page view, when it's
+  // shown while the carousel is on screen
+  var trackedBanners = [];
+  var impressionsSent = {};
+  var inView = !window.IntersectionObserver;
+  var viewObserver = null;
+  // The page the carousel is embedded in (the parent page for the /widget iframe)
+  var embedOrigin = window.location.origin;
+  if (window.top !== window && document.referrer) {
+    try { embedOrigin = new URL(document.referrer).origin; } catch(e) {}
+  }
+  var startX, startY, isDragging = false, moved = false;
+  var isMobile = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+  var carouselWidth = 0;
+
+  // Zoom state
+  var zoomTimer = null;
+  var isZooming = false;
+  var zoomImg = null;
+  var ZOOM_DELAY = 400;
+  var ZOOM_ENABLED = options.zoom !== false;
+  var ZOOM_FACTOR = options.zoom || 2;
+  var LENS_SIZE = 250;
+  var savedScrollY = 0;
+
+  function byId(id) { return root.getElementById(id); }
+
+  function applyDisplayOptions() {
+    var carousel = byId('promoCarousel');
+    if (options.accent) carousel.style.setProperty('--promo-accent', options.accent);
+    if (options.aspect) {
+      carousel.style.setProperty('--promo-aspect', options.aspect);
+      carousel.classList.add('promo-aspect');
+    }
+    if (FADE) carousel.classList.add('promo-fade');
+    if (options.dots === false) carousel.classList.add('promo-no-dots');
+    if (options.arrows === false) carousel.classList.add('promo-no-arrows');
+    if (options.arrows === 'hover') carousel.classList.add('promo-arrows-hover');
+  }
+
+  // Slide mode moves the track; fade mode stacks the slides and shows one
+  function setTrackPosition(dx, animate) {
+    var track = byId('promoTrack');
+    if (FADE) {
+      track.querySelectorAll('.promo-slide').forEach(function(slide, i) {
+        slide.classList.toggle('active', i === currentSlide);
+      });
+      return;
+    }
+    track.style.transition = animate && !REDUCED_MOTION ? 'transform 0.4s ease' : 'none';
+    track.style.transform = dx
+      ? 'translateX(calc(-' + (currentSlide * 100) + '% + ' + dx + 'px))'
+      : 'translateX(-' + (currentSlide * 100) + '%)';
+  }
+
+  // HTML escape helpers to prevent XSS from scraped data
+  function escAttr(s) {
+    return String(s).replace(/&/g,'&amp;').replace(/"/g,'&quot;').replace(/'/g,'&#39;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+  }
+  function safeUrl(s) {
+    if (!s) return '';
+    try { var u = new URL(s); return (u.protocol === 'http:' || u.protocol === 'https:') ? escAttr(s) : ''; } catch(e) { return ''; }
+  }
+
+  function withOrigin(url) {
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + 'origin=' + encodeURIComponent(embedOrigin);
+  }
+
+  function trackImpression() {
+    if (!TRACK || !inView || document.hidden) return;
+    var banner = trackedBanners[currentSlide];
+    if (!banner || !banner.impressionUrl || impressionsSent[banner.trackingId]) return;
+    impressionsSent[banner.trackingId] = true;
+    var url = withOrigin(banner.impressionUrl);
+    if (navigator.sendBeacon) navigator.sendBeacon(url);
+    else fetch(url, { method: 'POST', mode: 'no-cors', keepalive: true }).catch(function() {});
+  }
+
+  // `update` refetches after a change announced on the stream, revalidating
+  // the HTTP cache; a failed update keeps the banners already shown
+  async function loadBanners(update) {
+    try {
+      const res = await fetch(API_URL, update ? { cache: 'no-cache' } : undefined);
+      if (!res.ok) throw new Error('API error');
+      const data = await res.json();
+      trackedBanners = TRACK ? data.banners : [];
+      renderCarousel(data.banners);
+    } catch (err) {
+      if (!initialized) showMessage('Unable to load promotions');
+    }
+  }
+
+  function showMessage(text) {
+    slideKeys = [];
+    slideCount = 0;
+    byId('promoTrack').innerHTML = '<div class="promo-error">' + escAttr(text) + '</div>';
+    byId('promoDots').innerHTML = '';
+    updateControls();
+    clearInterval(autoplayInterval);
+  }
+
+  // Renders the banners, keeping the current slide when it's still there so
+  // live updates don't jump back to the start
+  function renderCarousel(banners) {
+    const track = byId('promoTrack');
+    const dots = byId('promoDots');
+    var previousKey = slideKeys[currentSlide];
+    slideKeys = banners.map(function(b) { return b.trackingId || b.src; });
+    slideCount = banners.length;
+
+    if (slideCount === 0) {
+      showMessage('No promotions available');
+      return;
+    }
+
+    track.innerHTML = banners.map((b, i) => {
+      var safeSrc = safeUrl(b.src);
+      var safeAlt = escAttr(b.alt || '');
+      var safeLink = safeUrl(TRACK && b.trackingId && b.link ? withOrigin(b.link) : b.link);
+      var safeMobileSrc = b.mobileSrc ? safeUrl(b.mobileSrc) : '';
+      var safeMobileSrcset = b.mobileSrcset ? escAttr(b.mobileSrcset) : '';
+      // One <source media> per viewport variant, then the WebP/AVIF sources
+      var sourceList = b.sources || [];
+      var sources = sourceList.map(function(s) {
+        return '<source' + (s.media ? ' media="' + escAttr(s.media) + '"' : '') +
+          (s.type ? ' type="' + escAttr(s.type) + '"' : '') + ' srcset="' + escAttr(s.srcset) + '"' +
+          (s.sizes ? ' sizes="' + escAttr(s.sizes) + '"' : '') + '>';
+      }).join('');
+      var hasMobileSources = sourceList.some(function(s) { return s.media; });
+      var mobileSource = '';
+      if (safeMobileSrc && !hasMobileSources) {
+        mobileSource = '<source media="(max-width:768px)"' + (safeMobileSrcset ? ' srcset="' + safeMobileSrcset + '"' : ' srcset="' + safeMobileSrc + '"') + '>';
+      }
+      var imgSrcset = (b.srcset && b.sizes) ? ' srcset="' + escAttr(b.srcset) + '" sizes="' + escAttr(b.sizes) + '"' : '';
+      const img = '<picture>' + mobileSource + sources + '<img src="' + safeSrc + '"' + imgSrcset + ' alt="' + safeAlt + '" loading="lazy" draggable="false" style="width:100%!important;max-width:100%!important;display:block"></picture>';
+      return '<div class="promo-slide" id="promoSlide-' + i + '" role="tabpanel" aria-roledescription="slide" aria-label="' + (i + 1) + ' of ' + banners.length + '">' +
+        (safeLink ? '<a href="' + safeLink + '" target="_blank" rel="noopener" draggable="false" style="display:block;max-width:100%">' + img + '</a>' : img) +
+        '</div>';
+    }).join('');
+
+    dots.innerHTML = banners.map((_, i) =>
+      '<button type="button" class="promo-dot" role="tab" aria-controls="promoSlide-' + i + '" aria-label="Slide ' + (i + 1) + '" data-index="' + i + '"></button>'
+    ).join('');
+
+    if (!initialized) {
+      setupCarousel();
+      currentSlide = Math.min(options.startIndex || 0, slideCount - 1);
+    } else {
+      var kept = slideKeys.indexOf(previousKey);
+      currentSlide = kept !== -1 ? kept : Math.min(currentSlide, slideCount - 1);
+    }
+    updateControls();
+    showCurrentSlide(false);
+    resetAutoplay();
+  }
+
+  // Hide the controls that make no sense for a single banner
+  function updateControls() {
+    var single = slideCount <= 1;
+    root.querySelector('.promo-prev').style.display = single ? 'none' : '';
+    root.querySelector('.promo-next').style.display = single ? 'none' : '';
+    byId('promoDots').style.display = single ? 'none' : '';
+    var ctrEl = byId('promoCounter');
+    if (ctrEl) ctrEl.style.display = single ? 'none' : '';
+    byId('promoPause').hidden = !AUTOPLAY || single;
+  }
+
+  // Listeners and elements that outlive re-renders, set up with the first banners
+  function setupCarousel() {
+    initialized = true;
+    const track = byId('promoTrack');
+    const dots = byId('promoDots');
+    applyDisplayOptions();
+    if (TRACK && window.IntersectionObserver) {
+      viewObserver = new IntersectionObserver(function(entries) {
+        inView = entries[0].isIntersecting;
+        trackImpression();
+      }, { threshold: 0.5 });
+      viewObserver.observe(byId('promoCarousel'));
+    }
+
+    // Navigation
+    root.querySelector('.promo-prev').onclick = function() { goToSlide(currentSlide - 1, true); };
+    root.querySelector('.promo-next').onclick = function() { goToSlide(currentSlide + 1, true); };
+    dots.onclick = function(e) {
+      var dot = e.target.closest('.promo-dot');
+      if (dot) {
+        goToSlide(parseInt(dot.dataset.index), true);
+      }
+    };
+    byId('promoCarousel').addEventListener('keydown', onKeyDown);
+
+    // Pause control, and pausing while the user is looking at or using the carousel
+    if (AUTOPLAY) {
+      byId('promoPause').onclick = function() {
+        userPaused = !userPaused;
+        updatePauseButton();
+        resetAutoplay();
+      };
+      updatePauseButton();
+    }
+    var carousel = byId('promoCarousel');
+    carousel.addEventListener('pointerenter', function(e) {
+      if (e.pointerType === 'mouse') { hoverPaused = true; resetAutoplay(); }
+    });
+    carousel.addEventListener('pointerleave', function(e) {
+      if (e.pointerType === 'mouse') { hoverPaused = false; resetAutoplay(); }
+    });
+    // Keyboard focus only: a clicked dot keeps focus but shouldn't stop autoplay for good
+    carousel.addEventListener('focusin', function(e) {
+      if (e.target.matches(':focus-visible')) { focusPaused = true; resetAutoplay(); }
+    });
+    carousel.addEventListener('focusout', function(e) {
+      if (!carousel.contains(e.relatedTarget)) { focusPaused = false; resetAutoplay(); }
+    });
+
+    // Touch/drag support
+    track.addEventListener('touchstart', onStart, {passive: true});
+    track.addEventListener('touchmove', onMove, {passive: false});
+    track.addEventListener('touchend', onEnd);
+    track.addEventListener('touchcancel', function() {
+      clearTimeout(zoomTimer);
+      if (isZooming) { exitZoomMode(); }
+      if (isDragging) { isDragging = false; goToSlide(currentSlide); }
+      byId('promoCarousel').classList.remove('dragging');
+    });
+    track.addEventListener('mousedown', onStart);
+    track.addEventListener('mousemove', onMove);
+    track.addEventListener('mouseup', onEnd);
+    track.addEventListener('mouseleave', function() { clearTimeout(zoomTimer); if(isDragging) { isDragging=false; goToSlide(currentSlide); }});
+
+    // Prevent link clicks after drag or zoom
+    byId('promoCarousel').addEventListener('click', function(e) {
+      if (moved || isZooming) { e.preventDefault(); e.stopPropagation(); moved = false; }
+    }, true);
+
+    // Suppress iOS long-press context menu so hold-to-zoom works
+    byId('promoCarousel').addEventListener('contextmenu', function(e) {
+      e.preventDefault();
+    });
+
+    // Create zoom lens for touch devices (inside the shadow root when embedded)
+    if (isMobile && ZOOM_ENABLED) {
+      var lens = document.createElement('div');
+      lens.id = 'promoZoomLens';
+      lens.className = 'promo-zoom-lens';
+      lens.setAttribute('aria-hidden', 'true');
+      (root.body || root).appendChild(lens);
+    }
+
+    // Show hint on mobile
+    if (isMobile && (slideCount > 1 || ZOOM_ENABLED)) {
+      setTimeout(function() {
+        var hint = byId('promoHint');
+        if (hint) {
+          var tips = [];
+          if (slideCount > 1) tips.push('Swipe \u2190\u2192');
+          if (ZOOM_ENABLED) tips.push('Hold to zoom');
+          hint.textContent = tips.join('  \u2022  ');
+          hint.style.opacity = '1';
+        }
+      }, 800);
+    }
+  }
+
+  // Live updates: refetch whenever the server announces a change. EventSource
+  // reconnects by itself after a dropped connection, but gives up after an
+  // HTTP error (e.g. during a restart), so those are retried here with backoff.
+  function connectStream() {
+    if (!options.streamUrl || !window.EventSource) return;
+    var hadError = false;
+    eventSource = new EventSource(options.streamUrl);
+    eventSource.addEventListener('open', function() {
+      reconnectDelay = 1000;
+      // Changes may have been missed while disconnected
+      if (hadError) loadBanners(true);
+    });
+    eventSource.addEventListener('banners', function() { loadBanners(true); });
+    eventSource.addEventListener('error', function() {
+      hadError = true;
+      if (eventSource.readyState !== EventSource.CLOSED) return;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = setTimeout(connectStream, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, 60000);
+    });
+  }
+
+  // `announce` reads the new slide to screen readers; autoplay doesn't, so
+  // they aren't interrupted every few seconds
+  function goToSlide(index, announce) {
+    if (slideCount <= 0) return;
+    currentSlide = LOOP
+      ? ((index % slideCount) + slideCount) % slideCount
+      : Math.max(0, Math.min(slideCount - 1, index));
+    showCurrentSlide(true);
+    if (announce) {
+      var slide = root.querySelectorAll('.promo-slide')[currentSlide];
+      var img = slide && slide.querySelector('img');
+      byId('promoStatus').textContent = 'Slide ' + (currentSlide + 1) + ' of ' + slideCount +
+        (img && img.alt ? ': ' + img.alt : '');
+    }
+    resetAutoplay();
+  }
+
+  function showCurrentSlide(animate) {
+    setTrackPosition(0, animate);
+    // Only the current slide can be focused or read
+    root.querySelectorAll('.promo-slide').forEach(function(slide, i) {
+      slide.inert = i !== currentSlide;
+      slide.setAttribute('aria-hidden', i === currentSlide ? 'false' : 'true');
+    });
+    trackImpression();
+    root.querySelectorAll('.promo-dot').forEach(function(dot, i) {
+      dot.classList.toggle('active', i === currentSlide);
+      dot.setAttribute('aria-selected', i === currentSlide ? 'true' : 'false');
+      dot.tabIndex = i === currentSlide ? 0 : -1;
+    });
+    var counter = byId('promoCounter');
+    if (counter) counter.textContent = (currentSlide + 1) + ' / ' + slideCount;
+    if (!LOOP) {
+      root.querySelector('.promo-prev').disabled = currentSlide === 0;
+      root.querySelector('.promo-next').disabled = currentSlide === slideCount - 1;
+    }
+  }
+
+  function resetAutoplay() {
+    clearInterval(autoplayInterval);
+    // Without looping, autoplay stops on the last slide
+    if (AUTOPLAY && !userPaused && !hoverPaused && !focusPaused && slideCount > 1 && (LOOP || currentSlide < slideCount - 1)) {
+      autoplayInterval = setInterval(function() { goToSlide(currentSlide + 1); }, INTERVAL);
+    }
+  }
+
+  function updatePauseButton() {
+    var pauseButton = byId('promoPause');
+    pauseButton.textContent = userPaused ? '\u25b6' : '\u275a\u275a';
+    pauseButton.setAttribute('aria-label', userPaused ? 'Start automatic slide show' : 'Stop automatic slide show');
+  }
+
+  // Left/right arrows on the dots or arrow buttons change slides; Home and
+  // End on the dots jump to the first or last. Focus follows the active dot.
+  function onKeyDown(e) {
+    var target = e.target;
+    if (!target.classList || !(target.classList.contains('promo-dot') || target.classList.contains('promo-nav'))) return;
+    var onDot = target.classList.contains('promo-dot');
+    if (e.key === 'ArrowLeft') goToSlide(currentSlide - 1, true);
+    else if (e.key === 'ArrowRight') goToSlide(currentSlide + 1, true);
+    else if (onDot && e.key === 'Home') goToSlide(0, true);
+    else if (onDot && e.key === 'End') goToSlide(slideCount - 1, true);
+    else return;
+    e.preventDefault();
+    if (onDot) root.querySelectorAll('.promo-dot')[currentSlide].focus();
+  }
+
+  function getX(e) { return e.touches ? e.touches[0].clientX : e.clientX; }
+  function getY(e) { return e.touches ? e.touches[0].clientY : e.clientY; }
+
+  function onStart(e) {
+    if (isZooming) return;
+    startX = getX(e); startY = getY(e);
+    isDragging = true; moved = false;
+    carouselWidth = byId('promoCarousel').offsetWidth;
+    byId('promoTrack').style.transition = 'none';
+    byId('promoCarousel').classList.add('dragging');
+    clearInterval(autoplayInterval);
+
+    // Start zoom detection on touch (capture touch data now since event may be recycled)
+    if (e.touches && ZOOM_ENABLED) {
+      var touchData = {clientX: e.touches[0].clientX, clientY: e.touches[0].clientY};
+      clearTimeout(zoomTimer);
+      zoomTimer = setTimeout(function() {
+        if (isDragging && !moved) {
+          enterZoomMode(touchData);
+        }
+      }, ZOOM_DELAY);
+    }
+  }
+
+  function onMove(e) {
+    // Handle zoom movement
+    if (isZooming) {
+      if (e.touches) { e.preventDefault(); updateZoom(e.touches[0]); }
+      return;
+    }
+    if (!isDragging) return;
+    var dx = getX(e) - startX, dy = getY(e) - startY;
+    if (Math.abs(dx) > Math.abs(dy) && Math.abs(dx) > 10) {
+      e.preventDefault();
+      setTrackPosition(dx, false);
+      if (Math.abs(dx) > 20) { moved = true; clearTimeout(zoomTimer); }
+    } else if (Math.abs(dy) > 30) {
+      isDragging = false;
+      clearTimeout(zoomTimer);
+      setTrackPosition(0, false);
+      byId('promoCarousel').classList.remove('dragging');
+      resetAutoplay();
+    }
+  }
+
+  function onEnd(e) {
+    clearTimeout(zoomTimer);
+    byId('promoCarousel').classList.remove('dragging');
+    if (isZooming) { exitZoomMode(); return; }
+    if (!isDragging) return;
+    isDragging = false;
+    var dx = (e.changedTouches ? e.changedTouches[0].clientX : e.clientX) - startX;
+    var threshold = isMobile ? carouselWidth * 0.08 : carouselWidth * 0.15;
+    if (Math.abs(dx) > threshold) {
+      goToSlide(dx < 0 ? currentSlide + 1 : currentSlide - 1, true);
+    } else {
+      goToSlide(currentSlide);
+    }
+  }
+
+  // === Press-and-hold zoom magnifier ===
+  function lockScroll() {
+    savedScrollY = window.scrollY;
+    document.body.style.position = 'fixed';
+    document.body.style.top = '-' + savedScrollY + 'px';
+    document.body.style.left = '0';
+    document.body.style.right = '0';
+    document.body.style.overflow = 'hidden';
+  }
+  function unlockScroll() {
+    document.body.style.position = '';
+    document.body.style.top = '';
+    document.body.style.left = '';
+    document.body.style.right = '';
+    document.body.style.overflow = '';
+    window.scrollTo(0, savedScrollY);
+  }
+
+  function enterZoomMode(touch) {
+    isDragging = false;
+    isZooming = true;
+    byId('promoCarousel').style.touchAction = 'none';
+    lockScroll();
+    var slides = root.querySelectorAll('.promo-slide');
+    var currentSlideEl = slides[currentSlide];
+    if (!currentSlideEl) { exitZoomMode(); return; }
+    zoomImg = currentSlideEl.querySelector('img');
+    if (!zoomImg) { exitZoomMode(); return; }
+    var lens = byId('promoZoomLens');
+    if (!lens) { exitZoomMode(); return; }
+    lens.style.backgroundImage = 'url("' + (zoomImg.currentSrc || zoomImg.src) + '")';
+    lens.style.display = 'block';
+    // Snap track to current slide
+    setTrackPosition(0, false);
+    updateZoom(touch);
+  }
+
+  function updateZoom(touch) {
+    var lens = byId('promoZoomLens');
+    if (!lens || !zoomImg) return;
+    var rect = zoomImg.getBoundingClientRect();
+    // Account for object-fit:cover - calculate actual displayed image dimensions
+    var nw = zoomImg.naturalWidth || rect.width, nh = zoomImg.naturalHeight || rect.height;
+    var sc = Math.max(rect.width / nw, rect.height / nh);
+    var dw = nw * sc, dh = nh * sc;
+    var ox = (rect.width - dw) / 2, oy = (rect.height - dh) / 2;
+    var relX = Math.max(0, Math.min(1, (touch.clientX - rect.left - ox) / dw));
+    var relY = Math.max(0, Math.min(1, (touch.clientY - rect.top - oy) / dh));
+    var bgW = dw * ZOOM_FACTOR;
+    var bgH = dh * ZOOM_FACTOR;
+    var bgX = -(relX * bgW - LENS_SIZE / 2);
+    var bgY = -(relY * bgH - LENS_SIZE / 2);
+    lens.style.backgroundSize = bgW + 'px ' + bgH + 'px';
+    lens.style.backgroundPosition = bgX + 'px ' + bgY + 'px';
+    // Position lens above finger, keep on screen
+    var lensX = touch.clientX - LENS_SIZE / 2;
+    var lensY = touch.clientY - LENS_SIZE - 40;
+    lensX = Math.max(5, Math.min(window.innerWidth - LENS_SIZE - 5, lensX));
+    if (lensY < 5) lensY = touch.clientY + 40;
+    if (lensY + LENS_SIZE > window.innerHeight - 5) lensY = window.innerHeight - LENS_SIZE - 5;
+    lens.style.left = lensX + 'px';
+    lens.style.top = lensY + 'px';
+  }
+
+  function exitZoomMode() {
+    isZooming = false;
+    zoomImg = null;
+    moved = true; // Prevent accidental link click after zoom
+    byId('promoCarousel').style.touchAction = '';
+    unlockScroll();
+    var lens = byId('promoZoomLens');
+    if (lens) lens.style.display = 'none';
+    resetAutoplay();
+  }
+
+  // Clean up zoom state if user leaves page mid-zoom (tab switch, back button)
+  function onVisibilityChange() {
+    if (document.hidden && isZooming) { exitZoomMode(); }
+    if (!document.hidden) trackImpression();
+  }
+  function onPageHide() {
+    if (isZooming) { exitZoomMode(); }
+  }
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  window.addEventListener('pagehide', onPageHide);
+
+  loadBanners();
+  connectStream();
+
+  return {
+    destroy: function() {
+      clearTimeout(zoomTimer);
+      if (isZooming) { exitZoomMode(); }
+      clearInterval(autoplayInterval);
+      clearTimeout(reconnectTimer);
+      if (eventSource) eventSource.close();
+      if (viewObserver) viewObserver.disconnect();
+      var lens = byId('promoZoomLens');
+      if (lens && lens.parentNode) lens.parentNode.removeChild(lens);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', onPageHide);
+    }
+  };
+}
+
+module.exports = { CAROUSEL_CSS, CAROUSEL_HTML, createDutchieCarousel };
@@ -0,0 +1,110 @@
+// RSS 2.0, Atom and JSON Feed 1.1 renderings of a store's current banners,
+// for partner sites and newsletter tools that consume feeds.
+
+const FEED_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Extensions the image store uses -> MIME type, for enclosures
+const IMAGE_TYPES = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif' };
+
+function imageType(url) {
+  const ext = (url || '').split('?')[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[ext === 'jpeg' ? 'jpg' : ext] || 'image/jpeg';
+}
+
+/**
+ * Feed items for a banners result: { id, title, link, image, published,
+ * html }. `id` is the scraped banner's key, stable across scrapes and hosts;
+ * `localize` only rewrites a banner's image URLs for display.
+ */
+function feedItems(data, bannerIdentity, localize = (banner) => banner) {
+  return data.banners.map(scraped => {
+    const banner = localize(scraped);
+    const title = banner.alt || 'Promotion';
+    const img = `<img src="${escapeXml(banner.src)}" alt="${escapeXml(banner.alt || '')}">`;
+    return {
+      id: bannerIdentity(scraped),
+      title,
+      link: banner.link || null,
+      image: banner.src,
+      published: new Date(banner.firstSeenAt || banner.createdAt || data.scrapedAt).toISOString(),
+      html: banner.link ? `<a href="${escapeXml(banner.link)}">${img}</a>` : img
+    };
+  });
+}
+
+/**
+ * Render a feed. `feed` is { title, homeUrl, feedUrl, updated, items }.
+ */
+function renderFeed(format, feed) {
+  if (format === 'json') {
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: feed.homeUrl,
+      feed_url: feed.feedUrl,
+      items: feed.items.map(item => ({
+        id: item.id,
+        ...(item.link && { url: item.link }),
+        title: item.title,
+        content_html: item.html,
+        image: item.image,
+        date_published: item.published
+      }))
+    }, null, 2);
+  }
+
+  if (format === 'atom') {
+    const entries = feed.items.map(item => `  <entry>
+    <id>${escapeXml(/^https?:\/\//.test(item.id) ? item.id : `urn:dutchie-banner:${item.id}`)}</id>
+    <title>${escapeXml(item.title)}</title>
+${item.link ? `    <link rel="alternate" href="${escapeXml(item.link)}"/>\n` : ''}    <link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}"/>
+    <published>${item.published}</published>
+    <updated>${item.published}</updated>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`);
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <updated>${feed.updated}</updated>
+  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>
+  <author><name>${escapeXml(feed.title)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+  }
+
+  const items = feed.items.map(item => `    <item>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <title>${escapeXml(item.title)}</title>
+${item.link ? `      <link>${escapeXml(item.link)}</link>\n` : ''}      <description>${escapeXml(item.html)}</description>
+      <media:content url="${escapeXml(item.image)}" medium="image" type="${imageType(item.image)}"/>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+    </item>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.title)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = { FEED_TYPES, feedItems, renderFeed };
@@ -0,0 +1,234 @@
+// Record and replay of scrapes, for working on the scraper without hitting
+// Dutchie. With SCRAPE_RECORD=<dir>, every response the browser receives
+// (and every image the mirror downloads) is saved to a fixture archive in
+// <dir>/<store id>/. With SCRAPE_REPLAY=<dir>, requests are answered from that
+// archive through request interception and anything not in it is aborted, so
+// the whole pipeline reruns deterministically with no network access.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { readJson, writeJson } = require('./storage');
+
+const FIXTURE_VERSION = 1;
+// Recorded with the response, but wrong for the decoded body we replay
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+// The pass name used for images downloaded by the mirror (images.js)
+const MIRROR_PASS = 'mirror';
+
+// Statuses whose responses can't have a body (the Response constructor throws)
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+const toResponse = (status, headers, body) => new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, headers });
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function requestKey(method, url, postData) {
+  return `${method} ${url}${postData ? ` ${sha256(postData).slice(0, 16)}` : ''}`;
+}
+
+function fixtureMode() {
+  const record = process.env.SCRAPE_RECORD;
+  const replay = process.env.SCRAPE_REPLAY;
+  if (record && replay) {
+    throw new Error('Set SCRAPE_RECORD or SCRAPE_REPLAY, not both');
+  }
+  if (record) return { mode: 'record', dir: path.resolve(record) };
+  if (replay) return { mode: 'replay', dir: path.resolve(replay) };
+  return null;
+}
+
+function replayHeaders(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (!DROPPED_HEADERS.includes(name.toLowerCase())) result[name] = value;
+  }
+  return result;
+}
+
+function createRecorder(store, dir) {
+  const entries = [];
+  const bodies = new Map(); // sha256 -> Buffer
+  const pending = new Set();
+  let pass = null;
+
+  function setBody(entry, body) {
+    entry.body = body && body.length > 0 ? sha256(body) : null;
+    if (entry.body) bodies.set(entry.body, body);
+  }
+
+  // The entry is added as the response arrives, so it keeps its order and
+  // pass while the body is still being read
+  async function recordResponse(response) {
+    const request = response.request();
+    if (!/^https?:/.test(request.url())) return;
+    const entry = {
+      pass,
+      method: request.method(),
+      url: request.url(),
+      key: requestKey(request.method(), request.url(), request.postData()),
+      resourceType: request.resourceType(),
+      status: response.status(),
+      headers: response.headers(),
+      body: null
+    };
+    entries.push(entry);
+    // Redirects and some aborted loads have no body
+    if (response.status() < 300 || response.status() >= 400) {
+      setBody(entry, await response.buffer().catch(() => null));
+    }
+  }
+
+  return {
+    mode: 'record',
+    path: path.join(dir, store.id),
+    url: store.url,
+    setPass(name) {
+      pass = name;
+    },
+    // Start over, e.g. for a retry, so the archive holds one clean attempt
+    reset() {
+      entries.length = 0;
+      bodies.clear();
+    },
+    attach(page) {
+      page.on('response', response => {
+        const recording = recordResponse(response).catch(() => {});
+        pending.add(recording);
+        recording.finally(() => pending.delete(recording));
+      });
+    },
+    handleRequest(request) {
+      request.continue();
+    },
+    // fetch() for images.js that saves what it downloads
+    async fetch(url, options) {
+      const response = await fetch(url, options);
+      const body = Buffer.from(await response.arrayBuffer());
+      const entry = {
+        pass: MIRROR_PASS,
+        method: 'GET',
+        url,
+        key: requestKey('GET', url),
+        resourceType: 'image',
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+        body: null
+      };
+      entries.push(entry);
+      setBody(entry, body);
+      return toResponse(response.status, response.headers, body);
+    },
+    // Write the archive, replacing an earlier recording of the store
+    async save() {
+      await Promise.all(pending);
+      const target = path.join(dir, store.id);
+      const tmp = `${target}.tmp`;
+      await fs.rm(tmp, { recursive: true, force: true });
+      await fs.mkdir(path.join(tmp, 'bodies'), { recursive: true });
+      for (const [hash, body] of bodies) {
+        await fs.writeFile(path.join(tmp, 'bodies', hash), body);
+      }
+      await writeJson(path.join(tmp, 'manifest.json'), {
+        version: FIXTURE_VERSION,
+        store: store.id,
+        url: store.url,
+        recordedAt: new Date().toISOString(),
+        entries
+      });
+      await fs.rm(target, { recursive: true, force: true });
+      await fs.rename(tmp, target);
+      console.log(`[${new Date().toISOString()}] [${store.id}] Recorded ${entries.length} responses to ${target}`);
+    }
+  };
+}
+
+async function createReplayer(store, dir) {
+  const archive = path.join(dir, store.id);
+  const manifest = await readJson(path.join(archive, 'manifest.json'), null);
+  if (!manifest) {
+    throw new Error(`No fixture for store "${store.id}" in ${dir}`);
+  }
+  if (manifest.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${manifest.version} in ${archive}`);
+  }
+
+  const byKey = new Map();
+  for (const entry of manifest.entries) {
+    if (!byKey.has(entry.key)) byKey.set(entry.key, []);
+    byKey.get(entry.key).push(entry);
+  }
+  // Responses to repeated requests are replayed in recorded order, per pass
+  const cursors = new Map();
+  let pass = null;
+  let misses = 0;
+
+  // The recorded response for a request, preferring ones from the same pass
+  function lookup(key, currentPass) {
+    const all = byKey.get(key);
+    if (!all) return null;
+    const samePass = all.filter(e => e.pass === currentPass);
+    const candidates = samePass.length > 0 ? samePass : all;
+    const cursorKey = `${samePass.length > 0 ? currentPass : '*'} ${key}`;
+    const index = cursors.get(cursorKey) || 0;
+    cursors.set(cursorKey, index + 1);
+    return candidates[Math.min(index, candidates.length - 1)];
+  }
+
+  const readBody = (entry) => (entry.body ? fs.readFile(path.join(archive, 'bodies', entry.body)) : Buffer.alloc(0));
+
+  return {
+    mode: 'replay',
+    path: archive,
+    // Navigate to the recorded page, even if the store's URL changed since
+    url: manifest.url,
+    setPass(name) {
+      pass = name;
+    },
+    reset() {
+      cursors.clear();
+    },
+    attach() {},
+    async handleRequest(request) {
+      // data: and blob: URLs never touch the network
+      if (!/^https?:/.test(request.url())) return request.continue();
+      const entry = lookup(requestKey(request.method(), request.url(), request.postData()), pass);
+      if (!entry) {
+        misses++;
+        console.warn(`[${new Date().toISOString()}] [${store.id}] Not in fixture, aborting: ${request.method()} ${request.url()}`);
+        return request.abort('internetdisconnected');
+      }
+      try {
+        await request.respond({ status: entry.status, headers: replayHeaders(entry.headers), body: await readBody(entry) });
+      } catch {
+        await request.abort('failed').catch(() => {});
+      }
+    },
+    // fetch() for images.js that answers from the archive
+    async fetch(url) {
+      const entry = lookup(requestKey('GET', url), MIRROR_PASS);
+      if (!entry) {
+        misses++;
+        throw new Error('Not in fixture');
+      }
+      return toResponse(entry.status, replayHeaders(entry.headers), await readBody(entry));
+    },
+    async save() {
+      console.log(`[${new Date().toISOString()}] [${store.id}] Replayed ${archive}${misses > 0 ? ` (${misses} requests not in the fixture)` : ''}`);
+    }
+  };
+}
+
+/**
+ * The record or replay session for a scrape of `store`, or null when
+ * neither SCRAPE_RECORD nor SCRAPE_REPLAY is set. The scraper calls
+ * attach(page) and routes intercepted requests to handleRequest(request),
+ * calls setPass(name) before each viewport pass and reset() before each
+ * attempt, hands fetch() to the image mirror and calls save() at the end.
+ */
+async function openFixture(store) {
+  const config = fixtureMode();
+  if (!config) return null;
+  return config.mode === 'record' ? createRecorder(store, config.dir) : createReplayer(store, config.dir);
+}
+
+module.exports = { openFixture };
@@ -0,0 +1,184 @@
+// Failure bundles: what the page looked like when a viewport pass failed
+// (screenshot, HTML, console messages and failed requests), so a Cloudflare
+// challenge, an age gate, a markup change and a slow load can be told apart.
+// Bundles live in data/failures/<id>/ and only the latest are kept.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('./stores');
+const { readJson, writeJson, createWriteQueue } = require('./storage');
+
+const FAILURES_DIR = path.join(DATA_DIR, 'failures');
+const BUNDLE_LIMIT = parseInt(process.env.FAILURE_BUNDLE_LIMIT) || 20;
+const CAPTURE_TIMEOUT = 15000;
+const MAX_CONSOLE_MESSAGES = 500;
+const MAX_FAILED_REQUESTS = 500;
+const ID_PATTERN = /^[0-9TZ-]+-[0-9a-f]{8}$/;
+
+// Requests the scraper aborts on purpose (see scrapeStore) aren't failures
+const BLOCKED_RESOURCE_TYPES = ['font', 'stylesheet'];
+
+const enqueueBundleWrite = createWriteQueue();
+
+/**
+ * Start recording a page's console messages and failed requests (network
+ * errors and HTTP 4xx/5xx). Call stop() to detach the listeners.
+ */
+function recordPageActivity(page) {
+  const activity = { console: [], failedRequests: [] };
+
+  const onConsole = (message) => {
+    if (activity.console.length >= MAX_CONSOLE_MESSAGES) return;
+    const location = message.location();
+    activity.console.push({
+      at: new Date().toISOString(),
+      type: message.type(),
+      text: message.text(),
+      url: location && location.url ? location.url : null
+    });
+  };
+  const onPageError = (error) => {
+    if (activity.console.length >= MAX_CONSOLE_MESSAGES) return;
+    activity.console.push({ at: new Date().toISOString(), type: 'pageerror', text: error.message, url: null });
+  };
+  const onRequestFailed = (request) => {
+    if (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())) return;
+    addFailedRequest(request, { error: request.failure() ? request.failure().errorText : 'failed' });
+  };
+  const onResponse = (response) => {
+    if (response.status() >= 400) {
+      addFailedRequest(response.request(), { status: response.status() });
+    }
+  };
+
+  function addFailedRequest(request, outcome) {
+    if (activity.failedRequests.length >= MAX_FAILED_REQUESTS) return;
+    activity.failedRequests.push({
+      at: new Date().toISOString(),
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+      status: null,
+      error: null,
+      ...outcome
+    });
+  }
+
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+  page.on('requestfailed', onRequestFailed);
+  page.on('response', onResponse);
+
+  activity.stop = () => {
+    page.off('console', onConsole);
+    page.off('pageerror', onPageError);
+    page.off('requestfailed', onRequestFailed);
+    page.off('response', onResponse);
+  };
+  return activity;
+}
+
+// Resolve with the task's result, or null if it fails or takes too long
+function attempt(task) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), CAPTURE_TIMEOUT); });
+  return Promise.race([task().catch(() => null), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Save a failure bundle for a page whose pass just failed with `error`.
+ * `context` is { store, runId, attempt, pass, viewport, url }. Each part is
+ * captured on a best-effort basis, since the page may have crashed. Returns
+ * the bundle id.
+ */
+async function saveFailureBundle(page, activity, error, context) {
+  const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+  const dir = path.join(FAILURES_DIR, id);
+
+  const screenshot = await attempt(() => page.screenshot({ fullPage: true, type: 'png' }));
+  const html = await attempt(() => page.content());
+  const title = await attempt(() => page.title());
+
+  await enqueueBundleWrite(async () => {
+    await fs.mkdir(dir, { recursive: true });
+    if (screenshot) await fs.writeFile(path.join(dir, 'screenshot.png'), screenshot);
+    if (html !== null) await fs.writeFile(path.join(dir, 'page.html'), html);
+    await writeJson(path.join(dir, 'meta.json'), {
+      id,
+      capturedAt: new Date().toISOString(),
+      ...context,
+      pageUrl: page.isClosed() ? null : page.url(),
+      title,
+      error: { message: error.message, code: error.code || null, stack: error.stack || null },
+      hasScreenshot: !!screenshot,
+      hasHtml: html !== null,
+      console: activity.console,
+      failedRequests: activity.failedRequests
+    });
+    await pruneBundles();
+  });
+
+  return id;
+}
+
+async function bundleIds() {
+  try {
+    const entries = await fs.readdir(FAILURES_DIR);
+    return entries.filter(e => ID_PATTERN.test(e)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function pruneBundles() {
+  const ids = await bundleIds();
+  for (const id of ids.slice(0, Math.max(0, ids.length - BUNDLE_LIMIT))) {
+    await fs.rm(path.join(FAILURES_DIR, id), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Saved bundles, newest first, without their console messages and failed
+ * requests (counts only). Filter with `store`.
+ */
+async function listFailureBundles({ store } = {}) {
+  const bundles = [];
+  for (const id of (await bundleIds()).reverse()) {
+    const meta = await readJson(path.join(FAILURES_DIR, id, 'meta.json'), null);
+    if (!meta || (store && meta.store !== store)) continue;
+    const { console: messages, failedRequests, error, ...summary } = meta;
+    bundles.push({
+      ...summary,
+      error: { message: error.message, code: error.code },
+      consoleMessages: messages.length,
+      failedRequests: failedRequests.length
+    });
+  }
+  return bundles;
+}
+
+async function getFailureBundle(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  return readJson(path.join(FAILURES_DIR, id, 'meta.json'), null);
+}
+
+// Path of a bundle's screenshot.png or page.html, or null if it has none
+async function failureBundleFile(id, name) {
+  if (!ID_PATTERN.test(id) || !['screenshot.png', 'page.html'].includes(name)) return null;
+  const file = path.join(FAILURES_DIR, id, name);
+  try {
+    await fs.access(file);
+    return file;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  recordPageActivity,
+  saveFailureBundle,
+  listFailureBundles,
+  getFailureBundle,
+  failureBundleFile
+};
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { storeDataDir } = require('./stores');
+const { readJson, writeJson } = require('./storage');
+
+// Set ANOMALY_GUARD=false to publish every non-empty scrape as before
+const GUARD_ENABLED = process.env.ANOMALY_GUARD !== 'false';
+
+// A percentage from the environment; 0 is a valid setting, not "unset"
+function percentSetting(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const MAX_DROP_PERCENT = percentSetting('ANOMALY_MAX_DROP_PERCENT', 50);
+const MAX_INVALID_IMAGES_PERCENT = percentSetting('ANOMALY_MAX_INVALID_IMAGES_PERCENT', 25);
+
+// Thrown when a scrape looks wrong and was quarantined instead of published
+class ScrapeQuarantinedError extends Error {
+  constructor(violations) {
+    super(`Scrape quarantined: ${violations.map(v => v.message).join('; ')}`);
+    this.name = 'ScrapeQuarantinedError';
+    this.code = 'SCRAPE_QUARANTINED';
+    this.violations = violations;
+  }
+}
+
+function quarantineFile(storeId) {
+  return path.join(storeDataDir(storeId), 'quarantine.json');
+}
+
+const isValidImageUrl = (url) => typeof url === 'string' && /^https?:\/\//.test(url);
+
+/**
+ * Check a scrape result against the currently published one.
+ * Returns a list of { rule, message } violations (empty when it looks fine).
+ */
+function validateScrape(result, previous) {
+  if (!GUARD_ENABLED) return [];
+
+  const violations = [];
+  const banners = result.banners;
+
+  if (previous && previous.count > 0) {
+    const dropPercent = ((previous.count - banners.length) / previous.count) * 100;
+    if (dropPercent > MAX_DROP_PERCENT) {
+      violations.push({
+        rule: 'count_drop',
+        message: `Banner count dropped from ${previous.count} to ${banners.length} (more than ${MAX_DROP_PERCENT}%)`
+      });
+    }
+
+    // Only suspicious if the published banners did have links
+    const hadLinks = previous.banners.some(b => b.link);
+    if (hadLinks && banners.every(b => !b.link)) {
+      violations.push({ rule: 'no_links', message: 'Every banner link is empty' });
+    }
+  }
+
+  const invalid = banners.filter(b => !isValidImageUrl(b.src)).length;
+  if (banners.length > 0 && (invalid / banners.length) * 100 > MAX_INVALID_IMAGES_PERCENT) {
+    violations.push({
+      rule: 'invalid_images',
+      message: `${invalid} of ${banners.length} image URLs are invalid (more than ${MAX_INVALID_IMAGES_PERCENT}%)`
+    });
+  }
+
+  return violations;
+}
+
+async function quarantineScrape(storeId, result, violations) {
+  const entry = {
+    quarantinedAt: new Date().toISOString(),
+    violations,
+    result
+  };
+  await writeJson(quarantineFile(storeId), entry);
+  return entry;
+}
+
+function getQuarantine(storeId) {
+  return readJson(quarantineFile(storeId), null);
+}
+
+async function clearQuarantine(storeId) {
+  try {
+    await fs.unlink(quarantineFile(storeId));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  ScrapeQuarantinedError,
+  quarantineFile,
+  validateScrape,
+  quarantineScrape,
+  getQuarantine,
+  clearQuarantine
+};
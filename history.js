@@ -0,0 +1,134 @@
+const path = require('path');
+const { storeDataDir } = require('./stores');
+const { readJson, writeJson } = require('./storage');
+
+// How many scrape snapshots to keep per store
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT) || 200;
+
+function historyFile(storeId) {
+  return path.join(storeDataDir(storeId), 'history.json');
+}
+
+// Dutchie appends resize/cache-busting params to image URLs, so a banner is
+// identified by its image URL without the query string.
+function bannerKey(banner) {
+  return (banner.src || '').split('?')[0];
+}
+
+function baseUrl(url) {
+  return url ? url.split('?')[0] : null;
+}
+
+/**
+ * Compare two banner lists and describe what changed between them.
+ * Banners are matched by bannerKey(); position changes are only reported
+ * when the relative order of banners present in both lists differs.
+ */
+function diffBanners(prevBanners, nextBanners) {
+  const prevByKey = new Map(prevBanners.map((b, i) => [bannerKey(b), { banner: b, index: i }]));
+  const nextByKey = new Map(nextBanners.map((b, i) => [bannerKey(b), { banner: b, index: i }]));
+
+  const summarize = (banner, index) => ({ key: bannerKey(banner), alt: banner.alt || '', link: banner.link || null, position: index });
+
+  const added = nextBanners
+    .map((b, i) => [b, i])
+    .filter(([b]) => !prevByKey.has(bannerKey(b)))
+    .map(([b, i]) => summarize(b, i));
+
+  const removed = prevBanners
+    .map((b, i) => [b, i])
+    .filter(([b]) => !nextByKey.has(bannerKey(b)))
+    .map(([b, i]) => summarize(b, i));
+
+  const prevCommon = prevBanners.map(bannerKey).filter(k => nextByKey.has(k));
+  const nextCommon = nextBanners.map(bannerKey).filter(k => prevByKey.has(k));
+
+  const reordered = [];
+  const linkChanged = [];
+  const mobileChanged = [];
+
+  nextCommon.forEach((key, i) => {
+    const prev = prevByKey.get(key);
+    const next = nextByKey.get(key);
+
+    if (prevCommon[i] !== key) {
+      reordered.push({ key, alt: next.banner.alt || '', from: prev.index, to: next.index });
+    }
+    if ((prev.banner.link || null) !== (next.banner.link || null)) {
+      linkChanged.push({ key, alt: next.banner.alt || '', from: prev.banner.link || null, to: next.banner.link || null });
+    }
+    if (baseUrl(prev.banner.mobileSrc) !== baseUrl(next.banner.mobileSrc)) {
+      mobileChanged.push({ key, alt: next.banner.alt || '', from: prev.banner.mobileSrc || null, to: next.banner.mobileSrc || null });
+    }
+  });
+
+  const hasChanges = added.length > 0 || removed.length > 0 || reordered.length > 0 ||
+    linkChanged.length > 0 || mobileChanged.length > 0;
+
+  return { hasChanges, added, removed, reordered, linkChanged, mobileChanged };
+}
+
+function readHistory(storeId) {
+  return readJson(historyFile(storeId), []);
+}
+
+/**
+ * Append a successful scrape result to the store's history and return the
+ * diff against the previous snapshot. The first snapshot reports every
+ * banner as added.
+ */
+async function recordSnapshot(storeId, result) {
+  const snapshots = await readHistory(storeId);
+  const previous = snapshots[snapshots.length - 1];
+  const changes = diffBanners(previous ? previous.banners : [], result.banners);
+
+  snapshots.push({
+    id: previous ? previous.id + 1 : 1,
+    scrapedAt: result.scrapedAt,
+    count: result.count,
+    changes,
+    banners: result.banners
+  });
+
+  // Keep a rolling window of the most recent snapshots
+  await writeJson(historyFile(storeId), snapshots.slice(-HISTORY_LIMIT));
+
+  return changes;
+}
+
+/**
+ * Set `firstSeenAt` on each banner about to be published: carried over from
+ * the previous cache, else the oldest snapshot in the history that has the
+ * banner, else `seenAt`. Caches written before this field existed are
+ * backfilled from the history the same way.
+ */
+async function assignFirstSeen(storeId, banners, previousBanners, seenAt) {
+  const known = new Map(previousBanners.filter(b => b.firstSeenAt).map(b => [bannerKey(b), b.firstSeenAt]));
+
+  const missing = banners.filter(b => !known.has(bannerKey(b)));
+  if (missing.length > 0) {
+    const snapshots = await readHistory(storeId);
+    for (const banner of missing) {
+      const first = snapshots.find(s => s.banners.some(b => bannerKey(b) === bannerKey(banner)));
+      if (first) known.set(bannerKey(banner), first.scrapedAt);
+    }
+  }
+
+  for (const banner of banners) {
+    banner.firstSeenAt = known.get(bannerKey(banner)) || seenAt;
+  }
+}
+
+async function getHistory(storeId) {
+  return readHistory(storeId);
+}
+
+// Snapshots newer than `since` (a Date) that changed the banner set
+async function getChangesSince(storeId, since) {
+  const snapshots = await readHistory(storeId);
+  return snapshots
+    .filter(s => new Date(s.scrapedAt) > since && s.changes.hasChanges)
+    .map(s => ({ snapshotId: s.id, scrapedAt: s.scrapedAt, count: s.count, ...s.changes }));
+}
+
+module.exports = { HISTORY_LIMIT, bannerKey, diffBanners, recordSnapshot, assignFirstSeen, getHistory, getChangesSince };
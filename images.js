@@ -0,0 +1,487 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { DATA_DIR, getStores, storeDataDir } = require('./stores');
+const { readJson } = require('./storage');
+
+const IMAGES_DIR = path.join(DATA_DIR, 'images');
+const DOWNLOAD_TIMEOUT = 15000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const GC_GRACE_PERIOD = 60 * 60 * 1000; // never delete images younger than an hour
+
+// Only raster formats are mirrored; SVG could carry script when served from our origin
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif'
+};
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif'
+};
+
+// sharp's decoded format for each extension (AVIF decodes as HEIF)
+const SHARP_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif', heif: 'avif' };
+
+// Originals are `<sha256>.<ext>`, resized derivatives `<sha256>-<width>w.<ext>`
+const IMAGE_FILE_PATTERN = /^[a-f0-9]{64}(-\d{1,5}w)?\.(jpg|png|webp|gif|avif)$/;
+
+// Responsive derivatives: widths (never upscaled) and modern formats to generate.
+// Each image is also resized in its original format as the <img> fallback.
+const IMAGE_WIDTHS = (process.env.IMAGE_WIDTHS || '480,768,1024,1400')
+  .split(',').map(w => parseInt(w)).filter(w => w > 0).sort((a, b) => a - b);
+const IMAGE_FORMATS = (process.env.IMAGE_FORMATS || 'avif,webp')
+  .split(',').map(f => f.trim().toLowerCase()).filter(f => f === 'avif' || f === 'webp');
+const IMAGE_SIZES = process.env.IMAGE_SIZES || '100vw';
+
+const ENCODERS = {
+  avif: img => img.avif({ quality: 55, effort: 4 }),
+  webp: img => img.webp({ quality: 78 }),
+  jpg: img => img.jpeg({ quality: 82, mozjpeg: true }),
+  png: img => img.png({ compressionLevel: 9 })
+};
+
+function imagePath(file) {
+  return path.join(IMAGES_DIR, file);
+}
+
+function isImageFile(file) {
+  return IMAGE_FILE_PATTERN.test(file);
+}
+
+// "url 1x, url 2x" / "url 400w, url 800w" -> [{ url, descriptor }]
+function parseSrcset(srcset) {
+  if (!srcset) return [];
+  return srcset.trim().split(/,\s+/).map(candidate => {
+    const [url, descriptor] = candidate.trim().split(/\s+/);
+    return { url, descriptor: descriptor || '' };
+  }).filter(c => c.url);
+}
+
+function bannerImageUrls(banner) {
+  const urls = [banner.src, banner.mobileSrc];
+  for (const c of parseSrcset(banner.srcset)) urls.push(c.url);
+  for (const c of parseSrcset(banner.mobileSrcset)) urls.push(c.url);
+  return urls.filter(u => u && /^https?:\/\//.test(u));
+}
+
+/**
+ * Download an image into the content-addressed store and return its file
+ * name (`<sha256>.<ext>`). Identical images share one file. `fetchImage`
+ * stands in for fetch, e.g. to serve a recorded fixture (see fixtures.js).
+ */
+async function downloadImage(url, userAgent, fetchImage = fetch) {
+  const response = await fetchImage(url, {
+    headers: userAgent ? { 'User-Agent': userAgent } : {},
+    signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const ext = EXTENSIONS[contentType];
+  if (!ext) {
+    throw new Error(`Unsupported content type "${contentType}"`);
+  }
+
+  const buffer = await readLimited(response, MAX_IMAGE_BYTES);
+  if (buffer.length === 0) {
+    throw new Error('Unexpected image size 0 bytes');
+  }
+
+  return saveImage(buffer, ext);
+}
+
+// Read a response body, giving up (and dropping the connection) as soon as
+// it's declared or turns out to be larger than `limit` bytes
+async function readLimited(response, limit) {
+  const declared = parseInt(response.headers.get('content-length'));
+  if (declared > limit) {
+    throw new Error(`Unexpected image size ${declared} bytes`);
+  }
+  if (!response.body) return Buffer.alloc(0);
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > limit) {
+      await reader.cancel().catch(() => {});
+      throw new Error(`Image larger than ${limit} bytes`);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+// Write image bytes into the content-addressed store, returning the file name
+async function saveImage(buffer, ext) {
+  const file = `${crypto.createHash('sha256').update(buffer).digest('hex')}.${ext}`;
+  const target = imagePath(file);
+
+  try {
+    await fs.access(target);
+  } catch {
+    await fs.mkdir(IMAGES_DIR, { recursive: true });
+    const tmpFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, buffer);
+    await fs.rename(tmpFile, target);
+  }
+
+  return file;
+}
+
+/**
+ * Store an image uploaded through the admin API. The bytes must decode as the
+ * declared raster type. Returns the stored image's describeImage() details.
+ */
+async function saveUploadedImage(buffer, contentType) {
+  const ext = EXTENSIONS[(contentType || '').split(';')[0].trim().toLowerCase()];
+  if (!ext) {
+    throw new Error(`Unsupported content type "${contentType}", expected one of ${Object.keys(EXTENSIONS).join(', ')}`);
+  }
+  if (buffer.length === 0 || buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error(`Image must be between 1 byte and ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new Error('File is not a valid image');
+  }
+  if (SHARP_FORMATS[metadata.format] !== ext) {
+    throw new Error(`File is ${metadata.format}, not ${contentType}`);
+  }
+
+  return describeImage(await saveImage(buffer, ext));
+}
+
+/**
+ * Dimensions and responsive derivatives of an original in the image store:
+ * { file, width, height, imageDerivatives }. Returns null for unknown files.
+ */
+async function describeImage(file) {
+  if (!isImageFile(file) || /-\d+w\./.test(file)) return null;
+  try {
+    await fs.access(imagePath(file));
+  } catch {
+    return null;
+  }
+
+  const { width, height } = await sharp(imagePath(file)).metadata();
+  const derivatives = await generateDerivatives(file);
+  return {
+    file,
+    width,
+    height,
+    imageDerivatives: derivatives.length > 0 ? { [file]: derivatives } : {}
+  };
+}
+
+/**
+ * Mirror every image a banner uses (desktop, mobile and srcset candidates).
+ * Each banner gets a `localImages` map of original URL -> stored file name.
+ * Images that fail to download keep pointing at Dutchie. `fetchImage` is
+ * passed on to downloadImage.
+ */
+async function mirrorBanners(banners, userAgent, fetchImage = fetch) {
+  const downloaded = new Map();
+  let failures = 0;
+
+  for (const banner of banners) {
+    banner.localImages = {};
+    for (const url of bannerImageUrls(banner)) {
+      if (!downloaded.has(url)) {
+        try {
+          downloaded.set(url, await downloadImage(url, userAgent, fetchImage));
+        } catch (error) {
+          failures++;
+          downloaded.set(url, null);
+          console.warn(`[${new Date().toISOString()}] Failed to mirror image ${url}: ${error.message}`);
+        }
+      }
+      if (downloaded.get(url)) banner.localImages[url] = downloaded.get(url);
+    }
+  }
+
+  return { mirrored: [...downloaded.values()].filter(Boolean).length, failures };
+}
+
+/**
+ * 64-bit difference hash (dHash) of an image as 16 hex chars. Visually
+ * similar images get hashes with a small Hamming distance.
+ */
+async function perceptualHash(file) {
+  const pixels = await sharp(imagePath(file))
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Set `imageHash` on each mirrored banner (null if its image wasn't mirrored).
+ */
+async function hashBanners(banners) {
+  const hashes = new Map();
+  for (const banner of banners) {
+    const file = banner.localImages && banner.localImages[banner.src];
+    if (file && !hashes.has(file)) {
+      try {
+        hashes.set(file, await perceptualHash(file));
+      } catch (error) {
+        hashes.set(file, null);
+        console.warn(`[${new Date().toISOString()}] Failed to hash image ${file}: ${error.message}`);
+      }
+    }
+    banner.imageHash = file ? hashes.get(file) : null;
+  }
+}
+
+async function writeIfMissing(file, produce) {
+  const target = imagePath(file);
+  try {
+    await fs.access(target);
+  } catch {
+    const tmpFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, await produce());
+    await fs.rename(tmpFile, target);
+  }
+}
+
+/**
+ * Generate resized derivatives of a mirrored image in every configured format
+ * plus its original format. Returns [{ file, format, width }], smallest first
+ * within each format. Animated GIFs are left alone.
+ */
+async function generateDerivatives(file) {
+  const [hash, ext] = file.split('.');
+  if (!ENCODERS[ext]) return [];
+
+  const source = await fs.readFile(imagePath(file));
+  const { width } = await sharp(source).metadata();
+  if (!width) return [];
+
+  const widths = [...IMAGE_WIDTHS.filter(w => w < width), width];
+  const derivatives = [];
+
+  for (const format of new Set([...IMAGE_FORMATS, ext])) {
+    for (const w of widths) {
+      // The original itself is the full-width fallback
+      if (format === ext && w === width) {
+        derivatives.push({ file, format, width: w });
+        continue;
+      }
+      const derived = `${hash}-${w}w.${format}`;
+      await writeIfMissing(derived, () => ENCODERS[format](sharp(source).resize({ width: w })).toBuffer());
+      derivatives.push({ file: derived, format, width: w });
+    }
+  }
+
+  return derivatives;
+}
+
+/**
+ * Build responsive derivatives for each banner's mirrored desktop and mobile
+ * image. Each banner gets an `imageDerivatives` map of file -> derivatives.
+ */
+async function buildDerivatives(banners) {
+  const generated = new Map();
+  let failures = 0;
+
+  for (const banner of banners) {
+    banner.imageDerivatives = {};
+    const variantUrls = Object.values(banner.variants || {}).map(v => v.src);
+    for (const url of [banner.src, ...variantUrls]) {
+      const file = url && banner.localImages && banner.localImages[url];
+      if (!file) continue;
+      if (!generated.has(file)) {
+        try {
+          generated.set(file, await generateDerivatives(file));
+        } catch (error) {
+          failures++;
+          generated.set(file, []);
+          console.warn(`[${new Date().toISOString()}] Failed to resize image ${file}: ${error.message}`);
+        }
+      }
+      if (generated.get(file).length > 0) banner.imageDerivatives[file] = generated.get(file);
+    }
+  }
+
+  return { images: generated.size, failures };
+}
+
+// Group derivatives by format, preserving their order: [[format, [derivatives]]]
+function groupByFormat(derivatives) {
+  const groups = new Map();
+  for (const d of derivatives) {
+    if (!groups.has(d.format)) groups.set(d.format, []);
+    groups.get(d.format).push(d);
+  }
+  return [...groups.entries()];
+}
+
+/**
+ * Return a copy of a banner with its image URLs pointing at our /images route.
+ * `baseUrl` is the public origin of this API (no trailing slash); when it's
+ * null the URLs keep pointing at Dutchie. Either way the internal mirroring
+ * fields (localImages, imageDerivatives, imageHash) are left out.
+ */
+function localizeBanner(banner, baseUrl) {
+  const { localImages: mirrored, imageDerivatives, imageHash, ...rest } = banner;
+  const localImages = baseUrl ? mirrored || {} : {};
+
+  const localUrl = (url) => (url && localImages[url] ? `${baseUrl}/images/${localImages[url]}` : url);
+  const localSrcset = (srcset) => {
+    if (!srcset) return srcset;
+    return parseSrcset(srcset)
+      .map(c => (c.descriptor ? `${localUrl(c.url)} ${c.descriptor}` : localUrl(c.url)))
+      .join(', ');
+  };
+
+  const localized = {
+    ...rest,
+    src: localUrl(rest.src),
+    srcset: localSrcset(rest.srcset),
+    mobileSrc: localUrl(rest.mobileSrc),
+    mobileSrcset: localSrcset(rest.mobileSrcset)
+  };
+
+  // Replace Dutchie's srcset with our own widths, and list the modern formats
+  // as <picture> sources: one group per viewport variant first (they carry a
+  // media query), then the canonical image's modern formats.
+  const derivativesFor = (url) => (url && imageDerivatives && imageDerivatives[localImages[url]]) || null;
+  const widthSrcset = (list) => list.map(d => `${baseUrl}/images/${d.file} ${d.width}w`).join(', ');
+  const fallbackExt = (url) => localImages[url].split('.').pop();
+
+  const sources = [];
+  if (rest.variants) {
+    localized.variants = {};
+    for (const [name, variant] of Object.entries(rest.variants)) {
+      const { imageHash, ...fields } = variant;
+      const local = { ...fields, src: localUrl(variant.src), srcset: localSrcset(variant.srcset) };
+      const derivatives = derivativesFor(variant.src);
+      if (derivatives) {
+        for (const [format, list] of groupByFormat(derivatives)) {
+          sources.push({ media: variant.media, type: MIME_TYPES[format], srcset: widthSrcset(list), sizes: IMAGE_SIZES });
+          if (format === fallbackExt(variant.src)) local.srcset = widthSrcset(list);
+        }
+      } else {
+        sources.push({ media: variant.media, srcset: local.srcset || local.src });
+      }
+      localized.variants[name] = local;
+    }
+    if (localized.variants.mobile) {
+      localized.mobileSrc = localized.variants.mobile.src;
+      localized.mobileSrcset = localized.variants.mobile.srcset;
+    }
+  }
+
+  const desktop = derivativesFor(rest.src);
+  if (desktop) {
+    for (const [format, list] of groupByFormat(desktop)) {
+      if (format === fallbackExt(rest.src)) {
+        localized.srcset = widthSrcset(list);
+        localized.sizes = IMAGE_SIZES;
+      } else {
+        sources.push({ type: MIME_TYPES[format], srcset: widthSrcset(list), sizes: IMAGE_SIZES });
+      }
+    }
+  }
+  if (sources.length > 0) localized.sources = sources;
+
+  return localized;
+}
+
+function addReferences(referenced, banners) {
+  for (const banner of banners || []) {
+    for (const file of Object.values(banner.localImages || {})) referenced.add(file);
+    for (const list of Object.values(banner.imageDerivatives || {})) {
+      for (const d of list) referenced.add(d.file);
+    }
+  }
+}
+
+/**
+ * Delete mirrored images no longer referenced by any store's cache, history
+ * snapshots, custom banners or quarantined scrape. Returns the number of files removed.
+ */
+async function collectGarbage() {
+  const referenced = new Set();
+  for (const store of getStores()) {
+    const dir = storeDataDir(store.id);
+    const cache = await readJson(path.join(dir, 'banners.json'), null);
+    if (cache) {
+      addReferences(referenced, cache.banners);
+      addReferences(referenced, cache.mobileOnlyBanners);
+      for (const list of Object.values(cache.variantOnlyBanners || {})) addReferences(referenced, list);
+    }
+    for (const snapshot of await readJson(path.join(dir, 'history.json'), [])) {
+      addReferences(referenced, snapshot.banners);
+    }
+    const overrides = await readJson(path.join(dir, 'overrides.json'), null);
+    if (overrides) addReferences(referenced, overrides.customBanners);
+    const quarantined = await readJson(path.join(dir, 'quarantine.json'), null);
+    if (quarantined) {
+      addReferences(referenced, quarantined.result.banners);
+      addReferences(referenced, quarantined.result.mobileOnlyBanners);
+      for (const list of Object.values(quarantined.result.variantOnlyBanners || {})) addReferences(referenced, list);
+    }
+  }
+
+  let files;
+  try {
+    files = await fs.readdir(IMAGES_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let removed = 0;
+  for (const file of files) {
+    if (!isImageFile(file) || referenced.has(file)) continue;
+    const stat = await fs.stat(imagePath(file));
+    if (Date.now() - stat.mtimeMs < GC_GRACE_PERIOD) continue;
+    await fs.unlink(imagePath(file));
+    removed++;
+  }
+
+  if (removed > 0) {
+    console.log(`[${new Date().toISOString()}] Removed ${removed} unused mirrored images`);
+  }
+  return removed;
+}
+
+module.exports = {
+  IMAGES_DIR,
+  imagePath,
+  isImageFile,
+  parseSrcset,
+  mirrorBanners,
+  hashBanners,
+  buildDerivatives,
+  saveUploadedImage,
+  describeImage,
+  localizeBanner,
+  collectGarbage
+};
@@ -0,0 +1,120 @@
+// Scrape jobs, so a refresh can return right away and be polled for progress.
+// There's at most one job per store in flight; starting another joins it.
+// Jobs only live in memory: the scrape run log (runs.js) is the durable record.
+const crypto = require('crypto');
+const { getViewportPasses } = require('./viewports');
+
+const JOB_TTL = 60 * 60 * 1000; // finished jobs can be polled for an hour
+const MAX_JOBS = 200;
+
+const jobs = new Map(); // id -> job
+const active = new Map(); // store id -> job in flight
+const settled = new Map(); // id -> promise of the job's result
+
+/**
+ * Run `task(job)` as a job for the store, unless one is already in flight,
+ * in which case that one is returned with `joined: true`. `done` settles
+ * with the task's result.
+ */
+function startJob(storeId, trigger, task) {
+  const current = active.get(storeId);
+  if (current) return { job: current, joined: true, done: settled.get(current.id) };
+
+  const job = {
+    id: crypto.randomUUID(),
+    store: storeId,
+    trigger,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    run: null,
+    result: null,
+    error: null
+  };
+  jobs.set(job.id, job);
+  active.set(storeId, job);
+
+  const done = Promise.resolve()
+    .then(() => task(job))
+    .then(result => {
+      job.status = 'succeeded';
+      job.result = result && {
+        count: result.count,
+        scrapedAt: result.scrapedAt,
+        changes: result.changes ? {
+          added: result.changes.added.length,
+          removed: result.changes.removed.length,
+          reordered: result.changes.reordered.length
+        } : null
+      };
+      return result;
+    }, error => {
+      job.status = 'failed';
+      job.error = { message: error.message, code: error.code || null };
+      throw error;
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      active.delete(storeId);
+      pruneJobs();
+    });
+  // Failures are reported through the job; callers awaiting `done` still see them
+  done.catch(() => {});
+  settled.set(job.id, done);
+
+  return { job, joined: false, done };
+}
+
+// Attach the scrape run once the job gets the browser; progress is read from it
+function setJobRun(job, run) {
+  job.run = run;
+  job.status = 'running';
+  job.startedAt = run.startedAt;
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL;
+  const finished = [...jobs.values()].filter(j => j.finishedAt);
+  for (const [i, job] of finished.entries()) {
+    if (Date.parse(job.finishedAt) < cutoff || finished.length - i > MAX_JOBS) {
+      jobs.delete(job.id);
+      settled.delete(job.id);
+    }
+  }
+}
+
+/**
+ * Where a running scrape is: the attempt (the scraper retries), the
+ * viewport pass in progress and how many banners the canonical pass has
+ * found so far. `pass` is null between passes, e.g. while images are
+ * mirrored after the last one.
+ */
+function jobProgress(run) {
+  const attempt = run.attempts[run.attempts.length - 1];
+  if (!attempt) return null;
+  const current = attempt.passes.find(p => p.durationMs === null);
+  const canonical = attempt.passes[0];
+  return {
+    attempt: attempt.attempt,
+    pass: current ? current.name : null,
+    passesCompleted: attempt.passes.filter(p => p.durationMs !== null).length,
+    passCount: getViewportPasses().length,
+    bannersFound: canonical ? canonical.bannersFound : null
+  };
+}
+
+function publicJob({ run, ...job }) {
+  return {
+    ...job,
+    runId: run ? run.id : null,
+    progress: job.status === 'running' ? jobProgress(run) : null
+  };
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? publicJob(job) : null;
+}
+
+module.exports = { startJob, setJobRun, publicJob, getJob };
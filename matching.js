@@ -0,0 +1,174 @@
+// Pairs banners from the later viewport passes (tablet, mobile, ...) with the
+// canonical desktop ones by content. Dutchie can order or filter banners
+// differently per viewport, so array position is only used when nothing else
+// links two banners.
+
+const MIN_CONTENT_SCORE = 0.35;
+const MAX_HASH_DISTANCE = 20; // of 64 bits; beyond this images are unrelated
+const INDEX_CONFIDENCE = 0.2;
+
+const baseUrl = (url) => (url ? url.split('?')[0] : null);
+
+// Number of differing bits between two 64-bit hex hashes
+function hammingDistance(a, b) {
+  let x = BigInt('0x' + a) ^ BigInt('0x' + b);
+  let bits = 0;
+  while (x) {
+    bits += Number(x & 1n);
+    x >>= 1n;
+  }
+  return bits;
+}
+
+function countBy(values) {
+  const counts = new Map();
+  for (const v of values) {
+    if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Score how likely a desktop and mobile banner show the same promotion, 0..1.
+ * A link shared by several banners (e.g. the menu's home page) says little,
+ * so only links unique on both sides get full weight.
+ */
+function contentScore(desktop, mobile, linkCounts) {
+  let score = 0;
+
+  if (desktop.link && desktop.link === mobile.link) {
+    const unique = linkCounts.desktop.get(desktop.link) === 1 && linkCounts.mobile.get(mobile.link) === 1;
+    score += unique ? 0.45 : 0.15;
+  }
+
+  const alt = (desktop.alt || '').trim().toLowerCase();
+  if (alt && alt === (mobile.alt || '').trim().toLowerCase()) {
+    score += 0.25;
+  }
+
+  if (desktop.imageHash && mobile.imageHash) {
+    const distance = hammingDistance(desktop.imageHash, mobile.imageHash);
+    if (distance <= MAX_HASH_DISTANCE) {
+      score += 0.3 * (1 - distance / MAX_HASH_DISTANCE);
+    }
+  }
+
+  return Math.min(score, 1);
+}
+
+/**
+ * Match the banners of one viewport pass against the canonical banners.
+ * Returns { pairs, unmatched }: `pairs[i]` is { banner, method, confidence }
+ * for canonical banner i (or null), `unmatched` the pass's leftover banners.
+ *
+ * Matching order: identical image URL, then the best content score (link,
+ * alt text, perceptual hash) above a threshold, then array position among
+ * whatever is still unmatched.
+ */
+function matchBanners(banners, passBanners) {
+  const matched = new Map(); // canonical index -> { index, method, confidence }
+  const matchedPass = new Set();
+
+  const pair = (d, m, method, confidence) => {
+    matched.set(d, { index: m, method, confidence });
+    matchedPass.add(m);
+  };
+
+  // 1. Same image on both viewports
+  banners.forEach((b, d) => {
+    const m = passBanners.findIndex((pb, i) => !matchedPass.has(i) && baseUrl(pb.src) === baseUrl(b.src));
+    if (m >= 0) pair(d, m, 'image', 1);
+  });
+
+  // 2. Content score, best pairs first
+  const linkCounts = {
+    desktop: countBy(banners.map(b => b.link)),
+    mobile: countBy(passBanners.map(b => b.link))
+  };
+  const candidates = [];
+  banners.forEach((b, d) => {
+    if (matched.has(d)) return;
+    passBanners.forEach((pb, m) => {
+      if (matchedPass.has(m)) return;
+      const score = contentScore(b, pb, linkCounts);
+      if (score >= MIN_CONTENT_SCORE) candidates.push({ d, m, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+  for (const { d, m, score } of candidates) {
+    if (!matched.has(d) && !matchedPass.has(m)) pair(d, m, 'content', score);
+  }
+
+  // 3. Fall back to position for anything left over
+  banners.forEach((b, d) => {
+    if (!matched.has(d) && d < passBanners.length && !matchedPass.has(d)) {
+      pair(d, d, 'index', INDEX_CONFIDENCE);
+    }
+  });
+
+  const pairs = banners.map((b, d) => {
+    const match = matched.get(d);
+    if (!match) return null;
+    return { banner: passBanners[match.index], method: match.method, confidence: Math.round(match.confidence * 100) / 100 };
+  });
+  const unmatched = passBanners.filter((pb, m) => !matchedPass.has(m));
+
+  return { pairs, unmatched };
+}
+
+/**
+ * Attach each viewport pass's art to the canonical banners (in place).
+ * `passResults` is [{ pass, banners }] for every pass after the first; a pass
+ * that failed has `banners: null` and contributes nothing.
+ *
+ * Each banner gets a `variants` map of pass name -> { src, srcset, width,
+ * height, media, match } for passes whose art differs from the canonical
+ * image. The `mobile` pass also fills the original mobileSrc/mobileSrcset/
+ * mobileWidth/mobileHeight/mobileMatch fields for backward compatibility.
+ * Returns a map of pass name -> banners only that pass showed.
+ */
+function mergeVariantBanners(banners, passResults) {
+  const passOnly = {};
+  for (const b of banners) b.variants = {};
+
+  for (const { pass, banners: passBanners } of passResults) {
+    if (!passBanners) continue;
+    const { pairs, unmatched } = matchBanners(banners, passBanners);
+
+    banners.forEach((banner, i) => {
+      const pair = pairs[i];
+      // Only record a variant if the image is actually different from desktop
+      if (pair && baseUrl(pair.banner.src) !== baseUrl(banner.src)) {
+        banner.variants[pass.name] = {
+          src: pair.banner.src,
+          srcset: pair.banner.srcset,
+          width: pair.banner.width,
+          height: pair.banner.height,
+          media: pass.media,
+          imageHash: pair.banner.imageHash || null,
+          match: { method: pair.method, confidence: pair.confidence }
+        };
+        banner.localImages = { ...banner.localImages, ...pair.banner.localImages };
+      }
+      if (pass.name === 'mobile') {
+        banner.mobileMatch = pair ? { method: pair.method, confidence: pair.confidence } : null;
+      }
+    });
+
+    passOnly[pass.name] = unmatched.map((b, i) => ({ id: `${pass.name}-${i}`, ...b }));
+  }
+
+  // Backward-compatible mobile fields (null means "use the desktop image")
+  for (const banner of banners) {
+    const mobile = banner.variants.mobile;
+    banner.mobileSrc = mobile ? mobile.src : null;
+    banner.mobileSrcset = mobile ? mobile.srcset : null;
+    banner.mobileWidth = mobile ? mobile.width : null;
+    banner.mobileHeight = mobile ? mobile.height : null;
+    if (!('mobileMatch' in banner)) banner.mobileMatch = null;
+  }
+
+  return passOnly;
+}
+
+module.exports = { hammingDistance, matchBanners, mergeVariantBanners };
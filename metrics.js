@@ -0,0 +1,146 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format for the /metrics endpoint.
+
+const metrics = [];
+const collectors = [];
+
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const SCRAPE_BUCKETS = [1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+// Samples are keyed by their label set so each combination is one series
+function createMetric(type, name, help) {
+  const series = new Map();
+  const metric = {
+    type,
+    name,
+    help,
+    series,
+    get(labels = {}) {
+      const key = formatLabels(labels);
+      if (!series.has(key)) series.set(key, { labels, value: 0 });
+      return series.get(key);
+    },
+    reset() {
+      series.clear();
+    }
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function counter(name, help) {
+  const metric = createMetric('counter', name, help);
+  metric.inc = (labels, amount = 1) => {
+    metric.get(labels).value += amount;
+  };
+  return metric;
+}
+
+function gauge(name, help) {
+  const metric = createMetric('gauge', name, help);
+  metric.set = (labels, value) => {
+    metric.get(labels).value = value;
+  };
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const metric = createMetric('histogram', name, help);
+  metric.buckets = buckets;
+  metric.get = (labels = {}) => {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    return metric.series.get(key);
+  };
+  metric.observe = (labels, value) => {
+    const s = metric.get(labels);
+    buckets.forEach((bound, i) => {
+      if (value <= bound) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  };
+  // Returns a function that records the elapsed seconds, with extra labels
+  metric.startTimer = (labels) => {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      metric.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  };
+  return metric;
+}
+
+/**
+ * Register a function run before every render, for gauges derived from
+ * state kept elsewhere (scrape status, cache files). It may be async.
+ */
+function addCollector(fn) {
+  collectors.push(fn);
+}
+
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+  for (const s of metric.series.values()) {
+    if (metric.type !== 'histogram') {
+      lines.push(`${metric.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+      continue;
+    }
+    metric.buckets.forEach((bound, i) => {
+      lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+    lines.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+  }
+  return lines.join('\n');
+}
+
+async function renderMetrics() {
+  for (const collect of collectors) {
+    await collect();
+  }
+  return metrics.map(renderMetric).join('\n') + '\n';
+}
+
+// Shared metrics, updated by the scraper and the API server
+const scrapePassDuration = histogram(
+  'dutchie_scrape_pass_duration_seconds',
+  'Duration of each viewport pass of a scrape',
+  SCRAPE_BUCKETS
+);
+const scrapesTotal = counter('dutchie_scrapes_total', 'Scrapes attempted, by result');
+const httpRequestsTotal = counter('dutchie_http_requests_total', 'HTTP requests handled, by route and status');
+const httpRequestDuration = histogram(
+  'dutchie_http_request_duration_seconds',
+  'HTTP request latency, by route',
+  HTTP_BUCKETS
+);
+const authFailuresTotal = counter('dutchie_auth_failures_total', 'Requests rejected for a missing (401), invalid or insufficient (403) or rate-limited (429) API key');
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  addCollector,
+  renderMetrics,
+  scrapePassDuration,
+  scrapesTotal,
+  httpRequestsTotal,
+  httpRequestDuration,
+  authFailuresTotal
+};
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const path = require('path');
+const { storeDataDir } = require('./stores');
+const { readJson, writeJson, createWriteQueue } = require('./storage');
+const { bannerKey } = require('./history');
+const { describeImage } = require('./images');
+const { validateSchedule, isScheduleActive } = require('./schedule');
+
+const MAX_ALT_LENGTH = 500;
+
+const enqueueOverrideWrite = createWriteQueue();
+
+// Thrown for override requests that can't be applied (bad input, unknown image)
+class InvalidOverrideError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidOverrideError';
+    this.code = 'INVALID_OVERRIDE';
+  }
+}
+
+function overridesFile(storeId) {
+  return path.join(storeDataDir(storeId), 'overrides.json');
+}
+
+const emptyOverrides = () => ({ banners: {}, order: [], customBanners: [], updatedAt: null });
+
+/**
+ * The store's override layer:
+ *   banners       - banner identity -> { hidden, pin, link, alt, schedule }
+ *   order         - banner identities in the order they should be shown
+ *   customBanners - house banners that aren't in Dutchie, with uploaded images
+ */
+async function getOverrides(storeId) {
+  return { ...emptyOverrides(), ...(await readJson(overridesFile(storeId), null)) };
+}
+
+// Scraped banners are identified like in the history (image URL without its
+// query string), custom banners by their id, so overrides survive re-scrapes.
+function bannerIdentity(banner) {
+  return banner.custom ? banner.id : bannerKey(banner);
+}
+
+function validateLink(link) {
+  if (link === null) return;
+  try {
+    const u = new URL(link);
+    if (u.protocol === 'http:' || u.protocol === 'https:') return;
+  } catch {
+    // fall through
+  }
+  throw new InvalidOverrideError('link must be an http(s) URL or null');
+}
+
+function validateAlt(alt) {
+  if (alt !== null && (typeof alt !== 'string' || alt.length > MAX_ALT_LENGTH)) {
+    throw new InvalidOverrideError(`alt must be a string of at most ${MAX_ALT_LENGTH} characters or null`);
+  }
+}
+
+function updateOverrides(storeId, update) {
+  return enqueueOverrideWrite(async () => {
+    const overrides = await getOverrides(storeId);
+    const result = await update(overrides);
+    overrides.updatedAt = new Date().toISOString();
+    await writeJson(overridesFile(storeId), overrides);
+    return result === undefined ? overrides : result;
+  });
+}
+
+/**
+ * Set or clear overrides for one banner. `changes` may contain `hidden`
+ * (boolean), `pin` (0-based position), `link`, `alt` and `schedule` (see
+ * schedule.js); a null value removes that override. Returns the banner's
+ * resulting overrides.
+ */
+function setBannerOverride(storeId, key, changes) {
+  if (typeof key !== 'string' || key.length === 0) {
+    throw new InvalidOverrideError('banner must be a banner key (see GET .../overrides)');
+  }
+  const { hidden, pin, link, alt } = changes;
+  let { schedule } = changes;
+  if (hidden !== undefined && hidden !== null && typeof hidden !== 'boolean') {
+    throw new InvalidOverrideError('hidden must be a boolean or null');
+  }
+  if (pin !== undefined && pin !== null && !(Number.isInteger(pin) && pin >= 0)) {
+    throw new InvalidOverrideError('pin must be a position (0 or more) or null');
+  }
+  if (link !== undefined) validateLink(link);
+  if (alt !== undefined) validateAlt(alt);
+  if (schedule !== undefined && schedule !== null) {
+    try {
+      schedule = validateSchedule(schedule);
+    } catch (error) {
+      throw new InvalidOverrideError(error.message);
+    }
+  }
+
+  return updateOverrides(storeId, (overrides) => {
+    const entry = { ...overrides.banners[key] };
+    for (const [field, value] of Object.entries({ hidden, pin, link, alt, schedule })) {
+      if (value === undefined) continue;
+      if (value === null || value === false) delete entry[field];
+      else entry[field] = value;
+    }
+
+    if (Object.keys(entry).length > 0) overrides.banners[key] = entry;
+    else delete overrides.banners[key];
+    return entry;
+  });
+}
+
+// Replace the custom order; an empty list restores the scraped order
+function setOrder(storeId, order) {
+  if (!Array.isArray(order) || !order.every(k => typeof k === 'string')) {
+    throw new InvalidOverrideError('order must be an array of banner keys');
+  }
+  return updateOverrides(storeId, (overrides) => {
+    overrides.order = [...new Set(order)];
+    return overrides.order;
+  });
+}
+
+/**
+ * Add a house banner using an image uploaded via POST /api/uploads.
+ * Custom banners are appended after the scraped ones unless ordered or pinned.
+ */
+async function addCustomBanner(storeId, { image, link = null, alt = '' }) {
+  validateLink(link);
+  validateAlt(alt);
+  const details = typeof image === 'string' ? await describeImage(image) : null;
+  if (!details) {
+    throw new InvalidOverrideError('image must be the file name returned by POST /api/uploads');
+  }
+
+  const src = `/images/${details.file}`;
+  const banner = {
+    id: `custom-${crypto.randomBytes(6).toString('hex')}`,
+    custom: true,
+    src,
+    srcset: null,
+    alt: alt || '',
+    link,
+    width: details.width,
+    height: details.height,
+    localImages: { [src]: details.file },
+    imageDerivatives: details.imageDerivatives,
+    createdAt: new Date().toISOString()
+  };
+
+  return updateOverrides(storeId, (overrides) => {
+    overrides.customBanners.push(banner);
+    return banner;
+  });
+}
+
+// Returns false if the store has no custom banner with that id
+function deleteCustomBanner(storeId, id) {
+  return updateOverrides(storeId, (overrides) => {
+    const before = overrides.customBanners.length;
+    overrides.customBanners = overrides.customBanners.filter(b => b.id !== id);
+    delete overrides.banners[id];
+    overrides.order = overrides.order.filter(k => k !== id);
+    return overrides.customBanners.length < before;
+  });
+}
+
+function resetOverrides(storeId) {
+  return updateOverrides(storeId, (overrides) => {
+    Object.assign(overrides, emptyOverrides());
+  });
+}
+
+/**
+ * Merge the override layer into a scrape result and return the new result.
+ * Edits apply first, then hidden banners and banners whose schedule isn't
+ * active at `options.at` (in `options.timezone`) are dropped, the custom
+ * order is applied (unlisted banners keep their scraped order after the
+ * listed ones) and finally pinned banners are moved to their positions.
+ */
+function applyOverrides(result, overrides, { at = new Date(), timezone = 'UTC' } = {}) {
+  const hasOverrides = Object.keys(overrides.banners).length > 0 || overrides.order.length > 0 || overrides.customBanners.length > 0;
+  if (!hasOverrides) return result;
+
+  const edited = [...result.banners, ...overrides.customBanners].map(banner => {
+    const entry = overrides.banners[bannerIdentity(banner)] || {};
+    return {
+      ...banner,
+      ...(entry.link !== undefined && { link: entry.link }),
+      ...(entry.alt !== undefined && { alt: entry.alt })
+    };
+  });
+
+  const notHidden = edited.filter(b => !(overrides.banners[bannerIdentity(b)] || {}).hidden);
+  const visible = notHidden.filter(b => isScheduleActive((overrides.banners[bannerIdentity(b)] || {}).schedule, at, timezone));
+
+  const rank = new Map(overrides.order.map((key, i) => [key, i]));
+  const ordered = visible
+    .map((banner, i) => ({ banner, i, rank: rank.has(bannerIdentity(banner)) ? rank.get(bannerIdentity(banner)) : Infinity }))
+    .sort((a, b) => a.rank - b.rank || a.i - b.i)
+    .map(({ banner }) => banner);
+
+  const pinOf = (b) => (overrides.banners[bannerIdentity(b)] || {}).pin;
+  const pinned = ordered.filter(b => pinOf(b) !== undefined).sort((a, b) => pinOf(a) - pinOf(b));
+  const banners = ordered.filter(b => pinOf(b) === undefined);
+  for (const banner of pinned) {
+    banners.splice(Math.min(pinOf(banner), banners.length), 0, banner);
+  }
+
+  return {
+    ...result,
+    banners,
+    count: banners.length,
+    overrides: {
+      hidden: edited.length - notHidden.length,
+      scheduled: notHidden.filter(b => (overrides.banners[bannerIdentity(b)] || {}).schedule).length,
+      scheduledOut: notHidden.length - visible.length,
+      pinned: pinned.length,
+      custom: overrides.customBanners.length,
+      updatedAt: overrides.updatedAt
+    }
+  };
+}
+
+module.exports = {
+  InvalidOverrideError,
+  overridesFile,
+  bannerIdentity,
+  getOverrides,
+  setBannerOverride,
+  setOrder,
+  addCustomBanner,
+  deleteCustomBanner,
+  resetOverrides,
+  applyOverrides
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR } = require('./stores');
+const { readJson, writeJson, createWriteQueue } = require('./storage');
+
+const RUNS_FILE = path.join(DATA_DIR, 'scrape-runs.json');
+const RUN_LOG_LIMIT = parseInt(process.env.SCRAPE_LOG_LIMIT) || 500;
+
+const enqueueRunWrite = createWriteQueue();
+// Runs started with `persist: false`
+const unsavedRuns = new WeakSet();
+
+// Run log ({ runs, totals }) is kept in memory and persisted after every
+// change. `totals` counts every run per store, including those that have
+// since dropped out of the log.
+let log = null;
+
+async function loadLog() {
+  if (log) return log;
+  log = { runs: [], totals: {}, ...(await readJson(RUNS_FILE, null)) };
+
+  // A run still marked as running was cut short by a restart or crash
+  for (const run of log.runs) {
+    if (run.status === 'running') {
+      run.status = 'interrupted';
+      run.error = { message: 'Interrupted by server restart', code: null, stack: null };
+    }
+  }
+  return log;
+}
+
+function saveLog() {
+  return enqueueRunWrite(() => {
+    log.runs = log.runs.slice(-RUN_LOG_LIMIT);
+    return writeJson(RUNS_FILE, log);
+  });
+}
+
+/**
+ * Start recording a scrape run. `trigger` says why it ran: startup,
+ * schedule, retry, manual, stale_cache, on_demand or cli. The scraper adds
+ * an entry to `attempts` for every try and a pass entry for every viewport
+ * pass of that try. With `persist: false` the run is tracked the same way
+ * but never written to the log (replays, see fixtures.js).
+ */
+async function startRun(storeId, trigger, { persist = true } = {}) {
+  await loadLog();
+  const run = {
+    id: crypto.randomUUID(),
+    store: storeId,
+    trigger,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    peakMemoryMb: null,
+    retries: 0,
+    bannerCount: null,
+    changes: null,
+    fixture: null,
+    error: null,
+    attempts: []
+  };
+  if (!persist) {
+    unsavedRuns.add(run);
+    return run;
+  }
+  log.runs.push(run);
+  await saveLog();
+  return run;
+}
+
+// Runs by `node scraper.js` happen in another process, so the server's scrape
+// status never counts them; restoring it mustn't either
+const countsTowardStatus = (run) => run.trigger !== 'cli';
+
+/**
+ * Record the end of a run, given { result } for a published scrape or
+ * { error } for a failed or quarantined one.
+ */
+async function finishRun(run, { result, error }) {
+  run.finishedAt = new Date().toISOString();
+  run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+  run.retries = Math.max(0, run.attempts.length - 1);
+  // Highest browser memory use seen by any attempt (see browser.js)
+  const peaks = run.attempts.map(a => a.memory && a.memory.peakMb).filter(mb => mb != null);
+  run.peakMemoryMb = peaks.length > 0 ? Math.max(...peaks) : null;
+
+  let totals = null;
+  if (countsTowardStatus(run) && !unsavedRuns.has(run)) {
+    totals = log.totals[run.store] || (log.totals[run.store] = { scrapes: 0, failures: 0 });
+    totals.scrapes++;
+  }
+
+  if (error) {
+    run.status = error.code === 'SCRAPE_QUARANTINED' ? 'quarantined' : 'failure';
+    run.error = { message: error.message, code: error.code || null, stack: error.stack || null };
+    if (error.violations) run.violations = error.violations;
+    if (totals) totals.failures++;
+  } else {
+    run.status = 'success';
+    run.bannerCount = result.count;
+    run.selectorProfiles = result.selectorProfiles || null;
+    if (result.changes) {
+      run.changes = {
+        added: result.changes.added.length,
+        removed: result.changes.removed.length,
+        reordered: result.changes.reordered.length
+      };
+    }
+  }
+  if (!unsavedRuns.has(run)) await saveLog();
+  return run;
+}
+
+// Summary of a run for lists, without the per-attempt details
+function summarizeRun({ attempts, ...run }) {
+  return { ...run, error: run.error ? { message: run.error.message, code: run.error.code } : null };
+}
+
+async function listRuns({ store, status, limit } = {}) {
+  let runs = (await loadLog()).runs;
+  if (store) runs = runs.filter(r => r.store === store);
+  if (status) runs = runs.filter(r => r.status === status);
+  runs = runs.slice().reverse();
+  return (limit > 0 ? runs.slice(0, limit) : runs).map(summarizeRun);
+}
+
+async function getRun(id) {
+  return (await loadLog()).runs.find(r => r.id === id) || null;
+}
+
+/**
+ * Scrape status fields for a store rebuilt from the log, so a restart
+ * doesn't reset them: last attempt, success and error, the current run of
+ * failures and the all-time totals. CLI runs are left out, as they are
+ * while the server runs.
+ */
+async function restoreStatus(storeId) {
+  const { runs, totals } = await loadLog();
+  const storeRuns = runs.filter(r => r.store === storeId && r.status !== 'running' && countsTowardStatus(r));
+  if (storeRuns.length === 0) return null;
+
+  // Interrupted runs never finished, so they don't count as a success or failure
+  const finished = storeRuns.filter(r => r.status !== 'interrupted');
+  const last = finished[finished.length - 1];
+  const lastSuccess = finished.filter(r => r.status === 'success').pop();
+  const sinceSuccess = lastSuccess ? finished.slice(finished.indexOf(lastSuccess) + 1) : finished;
+  const lastError = last && last.status !== 'success' ? last.error : null;
+
+  return {
+    lastAttempt: storeRuns[storeRuns.length - 1].startedAt,
+    lastSuccess: lastSuccess ? lastSuccess.finishedAt : null,
+    lastError: lastError ? lastError.message : null,
+    lastErrorCode: lastError ? lastError.code : null,
+    selectorsStale: !!lastError && lastError.code === 'SELECTORS_STALE',
+    selectorProfiles: lastSuccess ? lastSuccess.selectorProfiles || null : null,
+    consecutiveFailures: sinceSuccess.length,
+    totalScrapes: (totals[storeId] || {}).scrapes || 0,
+    totalFailures: (totals[storeId] || {}).failures || 0,
+    lastDurationMs: last ? last.durationMs : null,
+    lastPeakMemoryMb: last && last.peakMemoryMb != null ? last.peakMemoryMb : null,
+    lastRunId: storeRuns[storeRuns.length - 1].id
+  };
+}
+
+module.exports = { RUN_LOG_LIMIT, startRun, finishRun, listRuns, getRun, restoreStatus };
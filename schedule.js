@@ -0,0 +1,150 @@
+// Time windows for banners: a date range, days of the week and hours of the
+// day, evaluated in the store's timezone (or the schedule's own).
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Date-times without an offset are wall-clock times in the schedule's timezone
+const LOCAL_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock date, time and weekday of an instant in a timezone
+function localParts(date, timezone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+  for (const { type, value } of format.formatToParts(date)) parts[type] = value;
+  return {
+    datetime: `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`,
+    time: `${parts.hour}:${parts.minute}`,
+    day: parts.weekday.toLowerCase()
+  };
+}
+
+// Normalize "2025-06-01" / "2025-06-01T16:00" to a comparable "YYYY-MM-DDTHH:MM:SS"
+function normalizeLocalDatetime(value, endOfDay) {
+  const [date, time] = value.split('T');
+  if (!time) return `${date}T${endOfDay ? '23:59:59' : '00:00:00'}`;
+  return `${date}T${time.length === 5 ? `${time}:00` : time}`;
+}
+
+// Whether the date and time a value starts with exist: "2025-02-30" or
+// "24:00" would otherwise roll over (or never match) instead of failing
+function isRealDatetime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(value);
+  if (!match) return true;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+}
+
+function validateDatetime(value, field) {
+  if (value === undefined || value === null) return null;
+  const valid = typeof value === 'string' && isRealDatetime(value) &&
+    (LOCAL_DATETIME_PATTERN.test(value) || !Number.isNaN(Date.parse(value)));
+  if (valid) return value;
+  throw new Error(`schedule.${field} must be an ISO 8601 date or date-time`);
+}
+
+/**
+ * Validate a schedule and return it normalized. Every field is optional:
+ *   start, end - ISO 8601 date or date-time; without an offset they are
+ *                local to the timezone (a date-only `end` includes that day)
+ *   days       - weekdays the banner shows on, e.g. ["fri", "sat"]
+ *   hours      - [{ from: "16:00", to: "18:00" }]; `to` before `from` spans midnight
+ *                and belongs to the day it starts on
+ *   timezone   - IANA timezone, defaults to the store's
+ * Throws an Error describing the first invalid field.
+ */
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    throw new Error('schedule must be an object');
+  }
+
+  const normalized = {};
+  const start = validateDatetime(schedule.start, 'start');
+  const end = validateDatetime(schedule.end, 'end');
+  if (start) normalized.start = start;
+  if (end) normalized.end = end;
+
+  if (schedule.days !== undefined) {
+    const days = Array.isArray(schedule.days) ? schedule.days.map(d => String(d).slice(0, 3).toLowerCase()) : null;
+    if (!days || days.length === 0 || !days.every(d => DAYS.includes(d))) {
+      throw new Error(`schedule.days must be a non-empty array of weekdays (${DAYS.join(', ')})`);
+    }
+    normalized.days = DAYS.filter(d => days.includes(d));
+  }
+
+  if (schedule.hours !== undefined) {
+    const valid = Array.isArray(schedule.hours) && schedule.hours.length > 0 && schedule.hours.every(h =>
+      h && TIME_PATTERN.test(h.from) && TIME_PATTERN.test(h.to) && h.from !== h.to);
+    if (!valid) {
+      throw new Error('schedule.hours must be a non-empty array of { from: "HH:MM", to: "HH:MM" }');
+    }
+    normalized.hours = schedule.hours.map(h => ({ from: h.from, to: h.to }));
+  }
+
+  if (schedule.timezone !== undefined) {
+    if (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone)) {
+      throw new Error('schedule.timezone must be an IANA timezone such as "America/Denver"');
+    }
+    normalized.timezone = schedule.timezone;
+  }
+
+  return normalized;
+}
+
+// Bounds without an offset are compared as wall-clock times in the timezone.
+// `end` is exclusive, except that a date-only end includes its whole day.
+function afterStart(at, local, start) {
+  if (LOCAL_DATETIME_PATTERN.test(start)) return local.datetime >= normalizeLocalDatetime(start, false);
+  return at.getTime() >= new Date(start).getTime();
+}
+
+function beforeEnd(at, local, end) {
+  if (LOCAL_DATETIME_PATTERN.test(end)) {
+    const bound = normalizeLocalDatetime(end, true);
+    return end.includes('T') ? local.datetime < bound : local.datetime <= bound;
+  }
+  return at.getTime() < new Date(end).getTime();
+}
+
+/**
+ * Whether a schedule is active at the given instant. `at` is a Date and
+ * `timezone` the store's timezone, used unless the schedule names its own.
+ */
+function isScheduleActive(schedule, at, timezone) {
+  if (!schedule) return true;
+  const local = localParts(at, schedule.timezone || timezone);
+
+  if (schedule.start && !afterStart(at, local, schedule.start)) return false;
+  if (schedule.end && !beforeEnd(at, local, schedule.end)) return false;
+
+  // A window spanning midnight belongs to the day it starts on: with days
+  // ["fri"] and 22:00-02:00, Saturday 01:00 is still in Friday's window
+  const onDay = (day) => !schedule.days || schedule.days.includes(day);
+  if (!schedule.hours) return onDay(local.day);
+  const previousDay = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+  return schedule.hours.some(({ from, to }) => (from < to
+    ? onDay(local.day) && local.time >= from && local.time < to
+    : (onDay(local.day) && local.time >= from) || (onDay(previousDay) && local.time < to)));
+}
+
+module.exports = { isValidTimezone, validateSchedule, isScheduleActive };
@@ -1,23 +1,119 @@
-const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const { getStores, getStore, getDefaultStore, storeDataDir } = require('./stores');
+const { recordSnapshot, assignFirstSeen } = require('./history');
+const { mirrorBanners, hashBanners, buildDerivatives, collectGarbage } = require('./images');
+const { mergeVariantBanners } = require('./matching');
+const { DESKTOP_UA, getViewportPasses } = require('./viewports');
+const { SelectorsStaleError, getSelectorProfiles } = require('./selectors');
+const { ScrapeQuarantinedError, validateScrape, quarantineScrape, getQuarantine, clearQuarantine } = require('./guard');
+const { readJson } = require('./storage');
+const { scrapePassDuration } = require('./metrics');
+const { getOverrides, applyOverrides } = require('./overrides');
+const { startRun, finishRun } = require('./runs');
+const { acquireContext, closeBrowser } = require('./browser');
+const { recordPageActivity, saveFailureBundle } = require('./forensics');
+const { openFixture } = require('./fixtures');
+const { startJob, setJobRun } = require('./jobs');
+const { notifyBannerChange, settleDeliveries } = require('./webhooks');
+const { publishBannerUpdate } = require('./stream');
 
-const DATA_FILE = path.join(__dirname, 'data', 'banners.json');
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 5000; // 5 seconds
 
-const DESKTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-const MOBILE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
-
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+function cacheFile(storeId) {
+  return path.join(storeDataDir(storeId), 'banners.json');
+}
+
+// Only one Chromium instance may run at a time, even when several stores are
+// due at once. Each scrape waits for the previous one to finish. Quarantine
+// decisions take the same lock since they publish to the same files.
+let browserQueue = Promise.resolve();
+
+function withBrowserLock(task) {
+  const run = browserQueue.then(task, task);
+  browserQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Wait until one of the selector profiles matches banner images on the page
+ * and return the first matching profile (in configured order).
+ * Throws SelectorsStaleError if none match before the timeout.
+ */
+async function detectSelectorProfile(page, profiles) {
+  const imageSelectors = profiles.map(p => p.image);
+
+  try {
+    await page.waitForFunction(selectors => selectors.some(sel => {
+      try {
+        return document.querySelector(sel) !== null;
+      } catch {
+        return false; // Invalid selector in a custom profile
+      }
+    }), { timeout: 30000 }, imageSelectors);
+  } catch {
+    throw new SelectorsStaleError(profiles.map(p => p.name));
+  }
+
+  const matchIndex = await page.evaluate(selectors => selectors.findIndex(sel => {
+    try {
+      return document.querySelector(sel) !== null;
+    } catch {
+      return false;
+    }
+  }), imageSelectors);
+
+  if (matchIndex < 0) {
+    throw new SelectorsStaleError(profiles.map(p => p.name));
+  }
+  return profiles[matchIndex];
+}
+
 /**
  * Scrape banner images from the carousel at a given viewport size.
- * Clicks through all carousel slides and returns an array of banner objects.
+ * Clicks through all carousel slides and returns the banner objects along
+ * with the name of the selector profile that matched and the number of
+ * carousel clicks made. Options:
+ * - `onProgress({ banners, clicks })` is called as banners are found
+ * - `requireBanners` fails the pass if no banners were found
+ * - `failureContext` ({ store, runId, attempt, pass }) saves a failure
+ *   bundle (see forensics.js) if the pass fails; its id is set as the
+ *   error's `failureId`
  */
-async function scrapeAtViewport(page, url, width, height, userAgent) {
+async function scrapeAtViewport(page, url, width, height, userAgent, options = {}) {
+  const { onProgress = () => {}, requireBanners = false, failureContext = null } = options;
+  const activity = recordPageActivity(page);
+  try {
+    const scraped = await collectAtViewport(page, url, width, height, userAgent, onProgress);
+    if (requireBanners && scraped.banners.length === 0) {
+      throw new Error('No banners found on page');
+    }
+    return scraped;
+  } catch (error) {
+    if (failureContext) {
+      try {
+        error.failureId = await saveFailureBundle(page, activity, error, {
+          ...failureContext,
+          url,
+          viewport: { width, height, userAgent }
+        });
+        console.log(`[${new Date().toISOString()}] [${failureContext.store}] Saved failure bundle ${error.failureId}`);
+      } catch (saveError) {
+        console.error(`[${new Date().toISOString()}] [${failureContext.store}] Failed to save failure bundle: ${saveError.message}`);
+      }
+    }
+    throw error;
+  } finally {
+    activity.stop();
+  }
+}
+
+async function collectAtViewport(page, url, width, height, userAgent, onProgress) {
   await page.setViewport({ width, height });
   await page.setUserAgent(userAgent);
 
@@ -26,8 +122,8 @@ async function scrapeAtViewport(page, url, width, height, userAgent) {
     timeout: 60000
   });
 
-  // Wait for banner images to load
-  await page.waitForSelector('img[class*="menu-image__MainImage"]', { timeout: 30000 });
+  // Wait for banner images to load, using whichever selector profile matches
+  const profile = await detectSelectorProfile(page, getSelectorProfiles());
 
   // Give React a moment to finish rendering initial slides
   await sleep(3000);
@@ -37,20 +133,20 @@ async function scrapeAtViewport(page, url, width, height, userAgent) {
   const banners = [];
 
   function collectVisibleBanners() {
-    return page.evaluate(() => {
-      const images = document.querySelectorAll('img[class*="menu-image__MainImage"]');
+    return page.evaluate((imageSelector, linkSelector) => {
+      const images = document.querySelectorAll(imageSelector);
       return Array.from(images).map(img => {
-        const link = img.closest('a');
+        const link = img.closest(linkSelector);
         return {
           src: img.src,
           srcset: img.srcset || null,
           alt: img.alt || '',
-          link: link ? link.href : null,
+          link: link ? link.href || null : null,
           width: img.naturalWidth || img.width,
           height: img.naturalHeight || img.height
         };
       });
-    });
+    }, profile.image, profile.link);
   }
 
   function addNewBanners(visible) {
@@ -64,13 +160,15 @@ async function scrapeAtViewport(page, url, width, height, userAgent) {
 
   // Gather whatever is in the DOM initially
   addNewBanners(await collectVisibleBanners());
+  onProgress({ banners: banners.length, clicks: 0 });
 
   // Click through carousel to reveal slides that aren't initially in the DOM.
   // On mobile viewports Dutchie renders all banners at once (no carousel nav),
   // so we check if the next button is actually visible before attempting clicks.
-  const nextBtn = await page.$('button[class*="arrow"][class*="right"], button[class*="arrow"][class*="next"], button[class*="Next"], [class*="carousel"] button:last-of-type, [class*="banner"] button:last-of-type');
+  const nextBtn = profile.next ? await page.$(profile.next).catch(() => null) : null;
 
   let useButton = false;
+  let clicks = 0;
   if (nextBtn) {
     useButton = await page.evaluate(el => {
       const r = el.getBoundingClientRect();
@@ -89,8 +187,10 @@ async function scrapeAtViewport(page, url, width, height, userAgent) {
       } catch {
         break;
       }
+      clicks++;
       await sleep(1000);
       addNewBanners(await collectVisibleBanners());
+      onProgress({ banners: banners.length, clicks });
       if (banners.length === before) {
         stableRounds++;
         if (stableRounds >= 3) break;
@@ -100,54 +200,232 @@ async function scrapeAtViewport(page, url, width, height, userAgent) {
     }
   }
 
-  return banners;
+  return { banners, profile: profile.name, clicks };
+}
+
+// Scrape one viewport pass, recording its duration for /metrics and its
+// details in the current attempt's entry of the run log. The canonical pass
+// fails when it finds no banners.
+async function scrapePass(page, url, store, pass, run, { requireBanners = false } = {}) {
+  const attempt = run.attempts[run.attempts.length - 1];
+  const endTimer = scrapePassDuration.startTimer({ store: store.id, pass: pass.name });
+  const record = {
+    name: pass.name,
+    width: pass.width,
+    height: pass.height,
+    durationMs: null,
+    clicks: null,
+    bannersFound: null,
+    selectorProfile: null,
+    error: null,
+    failureId: null
+  };
+  attempt.passes.push(record);
+  const startedAt = Date.now();
+  try {
+    const scraped = await scrapeAtViewport(page, url, pass.width, pass.height, pass.userAgent, {
+      onProgress: progress => {
+        record.bannersFound = progress.banners;
+        record.clicks = progress.clicks;
+      },
+      requireBanners,
+      failureContext: { store: store.id, runId: run.id, attempt: attempt.attempt, pass: pass.name }
+    });
+    endTimer({ outcome: 'success' });
+    record.clicks = scraped.clicks;
+    record.bannersFound = scraped.banners.length;
+    record.selectorProfile = scraped.profile;
+    return scraped;
+  } catch (error) {
+    endTimer({ outcome: 'failure' });
+    record.error = error.message;
+    record.failureId = error.failureId || null;
+    throw error;
+  } finally {
+    record.durationMs = Date.now() - startedAt;
+  }
+}
+
+function resolveStore(storeId) {
+  const store = storeId ? getStore(storeId) : getDefaultStore();
+  if (!store) {
+    throw new Error(`Unknown store "${storeId}"`);
+  }
+  return store;
 }
 
-async function scrapeBanners(retryCount = 0) {
-  const url = process.env.DUTCHIE_URL;
+/**
+ * Save a scrape result as the store's published cache, record it in the
+ * history, notify webhooks and open widgets if the banner set changed and
+ * clean up unused images. Every publish goes through here (scheduled,
+ * stale-cache, CLI and approved scrapes alike); `reason` is passed on to the
+ * widgets' event. Returns the diff against the previous snapshot (null if
+ * the history couldn't be updated).
+ */
+async function publishResult(store, result, reason = 'scrape') {
+  const dataFile = cacheFile(store.id);
 
-  if (!url) {
-    throw new Error('DUTCHIE_URL environment variable is required. Set it to your Dutchie embedded menu URL.');
+  // Ensure data directory exists
+  const dataDir = path.dirname(dataFile);
+  try {
+    await fs.access(dataDir);
+  } catch {
+    await fs.mkdir(dataDir, { recursive: true });
   }
 
-  console.log(`[${new Date().toISOString()}] Starting scrape of: ${url}${retryCount > 0 ? ` (retry ${retryCount}/${MAX_RETRIES})` : ''}`);
+  // Keep each banner's first-seen time across scrapes (used by the feeds)
+  const previous = await readJson(dataFile, null);
+  await assignFirstSeen(store.id, result.banners, previous ? previous.banners : [], result.scrapedAt);
 
-  let browser;
+  // Save to file atomically (write temp, then rename)
+  const tmpFile = dataFile + '.tmp';
+  await fs.writeFile(tmpFile, JSON.stringify(result, null, 2));
+  await fs.rename(tmpFile, dataFile);
+
+  // A good result supersedes anything waiting in quarantine
+  await clearQuarantine(store.id);
+
+  // Record the snapshot in the store's history. The cache is already saved,
+  // so a history failure shouldn't fail (and retry) the scrape.
+  let changes = null;
   try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-features=TranslateUI'
-      ]
+    changes = await recordSnapshot(store.id, result);
+  } catch (historyErr) {
+    console.warn(`[${new Date().toISOString()}] [${store.id}] Failed to record history: ${historyErr.message}`);
+  }
+
+  if (changes && changes.hasChanges) {
+    notifyBannerChange(store, { ...result, changes }).catch(err => {
+      console.error(`[${new Date().toISOString()}] [${store.id}] Failed to queue webhooks: ${err.message}`);
     });
+    publishBannerUpdate(store.id, reason, changes);
+  }
+
+  try {
+    await collectGarbage();
+  } catch (gcErr) {
+    console.warn(`[${new Date().toISOString()}] Image cleanup failed: ${gcErr.message}`);
+  }
+
+  return changes;
+}
+
+/**
+ * Publish the store's quarantined scrape as if it had passed validation.
+ * Returns the published result with its changes, or null if nothing is quarantined.
+ */
+async function approveQuarantine(storeId) {
+  const store = resolveStore(storeId);
+  return withBrowserLock(async () => {
+    const entry = await getQuarantine(store.id);
+    if (!entry) return null;
+    const changes = await publishResult(store, entry.result, 'quarantine_approved');
+    console.log(`[${new Date().toISOString()}] [${store.id}] Quarantined scrape from ${entry.quarantinedAt} approved`);
+    return { ...entry.result, changes };
+  });
+}
+
+/**
+ * Discard the store's quarantined scrape. Returns false if nothing was quarantined.
+ */
+async function rejectQuarantine(storeId) {
+  const store = resolveStore(storeId);
+  return withBrowserLock(async () => {
+    const rejected = await clearQuarantine(store.id);
+    if (rejected) {
+      console.log(`[${new Date().toISOString()}] [${store.id}] Quarantined scrape rejected`);
+    }
+    return rejected;
+  });
+}
+
+/**
+ * Scrape banners for a store and save them to that store's cache file.
+ * Defaults to the first configured store when no id is given. Every call is
+ * recorded in the scrape run log (see runs.js) with `options.trigger` as the
+ * reason; the result, or the error thrown, carries the run's `runId`.
+ * `options.onRun(run)` is called once the scrape gets the browser, with the
+ * run record the scraper keeps updating as it goes. With SCRAPE_RECORD or
+ * SCRAPE_REPLAY set, the scrape is recorded to or replayed from a fixture
+ * archive (see fixtures.js).
+ */
+async function scrapeBanners(storeId, { trigger = 'on_demand', onRun = () => {} } = {}) {
+  const store = resolveStore(storeId);
+  return withBrowserLock(async () => {
+    const fixture = await openFixture(store);
+    // A replay leaves the run log alone, like the rest of the published data
+    const run = await startRun(store.id, trigger, { persist: !isReplay(fixture) });
+    if (fixture) run.fixture = { mode: fixture.mode, path: fixture.path };
+    onRun(run);
+    let result;
+    try {
+      result = await scrapeStore(store, run, fixture);
+    } catch (error) {
+      await saveFixture(store, fixture);
+      await finishRun(run, { error });
+      error.runId = run.id;
+      throw error;
+    }
+    await saveFixture(store, fixture);
+    await finishRun(run, { result });
+    return { ...result, runId: run.id };
+  });
+}
+
+const isReplay = (fixture) => !!fixture && fixture.mode === 'replay';
+
+// Failed scrapes are recorded too, so the failure can be replayed
+async function saveFixture(store, fixture) {
+  if (!fixture) return;
+  try {
+    await fixture.save();
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] [${store.id}] Failed to save fixture:`, error.message);
+  }
+}
+
+async function scrapeStore(store, run, fixture = null, retryCount = 0) {
+  // A replay navigates to the URL that was recorded
+  const url = fixture ? fixture.url : store.url;
+  const dataFile = cacheFile(store.id);
+  const attempt = { attempt: retryCount + 1, startedAt: new Date().toISOString(), finishedAt: null, passes: [], memory: null, error: null };
+  run.attempts.push(attempt);
 
-    const page = await browser.newPage();
+  console.log(`[${new Date().toISOString()}] [${store.id}] Starting scrape of: ${url}${retryCount > 0 ? ` (retry ${retryCount}/${MAX_RETRIES})` : ''}`);
 
-    // Block unnecessary resources to speed up loading
+  // A fresh incognito context in the warm browser (see browser.js)
+  let lease;
+  try {
+    lease = await acquireContext();
+    const page = await lease.context.newPage();
+    if (fixture) {
+      fixture.reset();
+      fixture.attach(page);
+    }
+
+    // Block unnecessary resources to speed up loading; a replay answers the rest
     await page.setRequestInterception(true);
     page.on('request', (req) => {
       const resourceType = req.resourceType();
       if (['font', 'stylesheet'].includes(resourceType)) {
         req.abort();
+      } else if (fixture) {
+        fixture.handleRequest(req);
       } else {
         req.continue();
       }
     });
 
-    // Pass 1: Desktop at 1400x900
-    console.log(`[${new Date().toISOString()}] Pass 1: Desktop (1400x900)`);
-    const desktopBanners = await scrapeAtViewport(page, url, 1400, 900, DESKTOP_UA);
+    const [canonicalPass, ...variantPasses] = getViewportPasses();
 
-    if (!desktopBanners || desktopBanners.length === 0) {
-      throw new Error('No banners found on page');
-    }
+    // Pass 1: canonical viewport (desktop by default) defines the banner list
+    console.log(`[${new Date().toISOString()}] Pass 1: ${canonicalPass.name} (${canonicalPass.width}x${canonicalPass.height})`);
+    if (fixture) fixture.setPass(canonicalPass.name);
+    const canonical = await scrapePass(page, url, store, canonicalPass, run, { requireBanners: true });
+    const desktopBanners = canonical.banners;
+    const selectorProfiles = { [canonicalPass.name]: canonical.profile };
 
-    console.log(`[${new Date().toISOString()}] Desktop pass found ${desktopBanners.length} banners`);
+    console.log(`[${new Date().toISOString()}] ${canonicalPass.name} pass found ${desktopBanners.length} banners (selector profile: ${canonical.profile})`);
 
     // Assign IDs to desktop banners (canonical)
     const banners = desktopBanners.map((b, i) => ({
@@ -155,49 +433,24 @@ async function scrapeBanners(retryCount = 0) {
       ...b
     }));
 
-    // Pass 2: Mobile at 390x844
-    try {
-      console.log(`[${new Date().toISOString()}] Pass 2: Mobile (390x844)`);
-      const mobileBanners = await scrapeAtViewport(page, url, 390, 844, MOBILE_UA);
-      console.log(`[${new Date().toISOString()}] Mobile pass found ${mobileBanners.length} banners`);
-
-      // Merge mobile results by index
-      for (let i = 0; i < banners.length; i++) {
-        if (i < mobileBanners.length) {
-          const mb = mobileBanners[i];
-          // Only set mobile fields if the image is actually different from desktop
-          const desktopBase = banners[i].src.split('?')[0];
-          const mobileBase = mb.src.split('?')[0];
-          if (mobileBase !== desktopBase) {
-            banners[i].mobileSrc = mb.src;
-            banners[i].mobileSrcset = mb.srcset;
-            banners[i].mobileWidth = mb.width;
-            banners[i].mobileHeight = mb.height;
-          } else {
-            // Same image — fall back to desktop (no mobile fields)
-            banners[i].mobileSrc = null;
-            banners[i].mobileSrcset = null;
-            banners[i].mobileWidth = null;
-            banners[i].mobileHeight = null;
-          }
-        } else {
-          // Fewer mobile banners than desktop — fall back to desktop
-          banners[i].mobileSrc = null;
-          banners[i].mobileSrcset = null;
-          banners[i].mobileWidth = null;
-          banners[i].mobileHeight = null;
-        }
-      }
-    } catch (mobileErr) {
-      console.warn(`[${new Date().toISOString()}] Mobile pass failed, using desktop images only: ${mobileErr.message}`);
-      // Set null mobile fields so consumers know mobile wasn't captured
-      for (const b of banners) {
-        b.mobileSrc = null;
-        b.mobileSrcset = null;
-        b.mobileWidth = null;
-        b.mobileHeight = null;
+    // Remaining passes (tablet, mobile, ...) only contribute per-breakpoint art,
+    // so a failure just leaves that variant out
+    const passResults = [];
+    for (const [i, pass] of variantPasses.entries()) {
+      try {
+        console.log(`[${new Date().toISOString()}] Pass ${i + 2}: ${pass.name} (${pass.width}x${pass.height})`);
+        if (fixture) fixture.setPass(pass.name);
+        const scraped = await scrapePass(page, url, store, pass, run);
+        selectorProfiles[pass.name] = scraped.profile;
+        passResults.push({ pass, banners: scraped.banners });
+        console.log(`[${new Date().toISOString()}] ${pass.name} pass found ${scraped.banners.length} banners (selector profile: ${scraped.profile})`);
+      } catch (passErr) {
+        selectorProfiles[pass.name] = null;
+        passResults.push({ pass, banners: null });
+        console.warn(`[${new Date().toISOString()}] ${pass.name} pass failed, using ${canonicalPass.name} images only: ${passErr.message}`);
       }
     }
+    const variantBanners = passResults.flatMap(r => r.banners || []);
 
     // Validate image URLs are accessible (quick check)
     for (const banner of banners) {
@@ -206,61 +459,109 @@ async function scrapeBanners(retryCount = 0) {
       }
     }
 
+    // Mirror images locally so clients never hotlink Dutchie's CDN
+    const mirror = await mirrorBanners([...banners, ...variantBanners], DESKTOP_UA, fixture ? fixture.fetch : fetch);
+    console.log(`[${new Date().toISOString()}] [${store.id}] Mirrored ${mirror.mirrored} images${mirror.failures ? ` (${mirror.failures} failed)` : ''}`);
+
+    // Pair each pass's art with the canonical banners by link, alt text and
+    // perceptual hash. Banners only one pass showed are kept separately.
+    await hashBanners([...banners, ...variantBanners]);
+    const variantOnlyBanners = mergeVariantBanners(banners, passResults);
+    const mobileOnlyBanners = variantOnlyBanners.mobile || [];
+    for (const [passName, only] of Object.entries(variantOnlyBanners)) {
+      if (only.length > 0) {
+        console.log(`[${new Date().toISOString()}] [${store.id}] ${only.length} ${passName}-only banners`);
+      }
+    }
+
+    // Resized WebP/AVIF variants for responsive <picture> sources
+    const derived = await buildDerivatives([...banners, ...Object.values(variantOnlyBanners).flat()]);
+    console.log(`[${new Date().toISOString()}] [${store.id}] Built responsive variants for ${derived.images} images${derived.failures ? ` (${derived.failures} failed)` : ''}`);
+
     const result = {
       banners,
       scrapedAt: new Date().toISOString(),
+      store: store.id,
       source: url,
-      count: banners.length
+      count: banners.length,
+      mobileOnlyBanners,
+      variantOnlyBanners,
+      selectorProfiles
     };
 
-    // Ensure data directory exists
-    const dataDir = path.dirname(DATA_FILE);
-    try {
-      await fs.access(dataDir);
-    } catch {
-      await fs.mkdir(dataDir, { recursive: true });
+    // A replay is never published: it mustn't overwrite live data, and
+    // checking it against the live cache would make the outcome depend on it.
+    // The anomaly checks that need no previous scrape are still reported.
+    if (isReplay(fixture)) {
+      const violations = validateScrape(result, null);
+      attempt.finishedAt = new Date().toISOString();
+      console.log(`[${new Date().toISOString()}] [${store.id}] Replayed ${banners.length} banners (not published)${violations.length > 0 ? `, would be quarantined: ${violations.map(v => v.rule).join(', ')}` : ''}`);
+      return { ...result, changes: null, violations };
     }
 
-    // Save to file atomically (write temp, then rename)
-    const tmpFile = DATA_FILE + '.tmp';
-    await fs.writeFile(tmpFile, JSON.stringify(result, null, 2));
-    await fs.rename(tmpFile, DATA_FILE);
+    // Refuse to replace good cache with a suspicious scrape (e.g. a half-loaded page)
+    const violations = validateScrape(result, await readJson(dataFile, null));
+    if (violations.length > 0) {
+      await quarantineScrape(store.id, result, violations);
+      console.warn(`[${new Date().toISOString()}] [${store.id}] Scrape quarantined: ${violations.map(v => v.rule).join(', ')}`);
+      throw new ScrapeQuarantinedError(violations);
+    }
+
+    const changes = await publishResult(store, result);
 
-    console.log(`[${new Date().toISOString()}] Scraped ${banners.length} banners successfully`);
+    attempt.finishedAt = new Date().toISOString();
+    console.log(`[${new Date().toISOString()}] [${store.id}] Scraped ${banners.length} banners successfully`);
 
-    return result;
+    return { ...result, changes };
 
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Scrape failed:`, error.message);
+    attempt.finishedAt = new Date().toISOString();
+    attempt.error = { message: error.message, code: error.code || null };
+    console.error(`[${new Date().toISOString()}] [${store.id}] Scrape failed:`, error.message);
 
-    // Retry logic - close browser before retry to free memory
-    if (retryCount < MAX_RETRIES) {
+    // Retry logic - close the context before retry to free memory. A
+    // quarantined scrape worked; rerunning it would only quarantine it again.
+    if (retryCount < MAX_RETRIES && !(error instanceof ScrapeQuarantinedError)) {
       console.log(`[${new Date().toISOString()}] Retrying in ${RETRY_DELAY/1000} seconds...`);
-      if (browser) {
-        try { await browser.close(); } catch (e) {}
-        browser = null; // Prevent double-close in finally
+      if (lease) {
+        attempt.memory = await lease.release();
+        lease = null; // Prevent double release in finally
       }
       await sleep(RETRY_DELAY);
-      return scrapeBanners(retryCount + 1);
+      return scrapeStore(store, run, fixture, retryCount + 1);
     }
 
     throw error;
   } finally {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (e) {
-        console.error(`[${new Date().toISOString()}] Error closing browser:`, e.message);
-      }
+    if (lease) {
+      attempt.memory = await lease.release();
     }
   }
 }
 
-let isRefreshing = false;
+// Scrape a store as a job (see jobs.js), joining the one in flight if any
+function startScrapeJob(storeId, trigger) {
+  return startJob(storeId, trigger, job => scrapeBanners(storeId, { trigger, onRun: run => setJobRun(job, run) }));
+}
+
+/**
+ * Cached banners for a store with its manual overrides (hidden, pinned,
+ * reordered, edited and custom banners) merged in. Only banners whose
+ * schedule is active at `options.at` (default: now) are returned. Scrapes
+ * first if nothing is cached yet, and refreshes a stale cache in the
+ * background. Those scrapes run as jobs through `options.startScrape(storeId,
+ * trigger)`, which returns startJob()'s { job, joined, done }, so a refresh
+ * requested meanwhile joins them; the server passes its own to keep the
+ * scrape status up to date.
+ */
+async function getBanners(storeId, { at = new Date(), startScrape = startScrapeJob } = {}) {
+  const store = resolveStore(storeId);
+  return applyOverrides(await getCachedBanners(store, startScrape), await getOverrides(store.id), { at, timezone: store.timezone });
+}
 
-async function getBanners() {
+async function getCachedBanners(store, startScrape) {
   try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
+    const data = await fs.readFile(cacheFile(store.id), 'utf8');
     const parsed = JSON.parse(data);
 
     // Check if data is stale (older than 45 minutes)
@@ -268,32 +569,48 @@ async function getBanners() {
     const ageMs = Date.now() - scrapedAt.getTime();
     const staleThreshold = 45 * 60 * 1000;
 
-    if (ageMs > staleThreshold && !isRefreshing) {
-      console.log(`[${new Date().toISOString()}] Cache is ${Math.round(ageMs/60000)} minutes old, triggering refresh`);
+    if (ageMs > staleThreshold) {
       // Return stale data but trigger refresh in background
-      isRefreshing = true;
-      scrapeBanners()
-        .catch(err => console.error('Background refresh failed:', err.message))
-        .finally(() => { isRefreshing = false; });
+      const { joined, done } = startScrape(store.id, 'stale_cache');
+      if (!joined) {
+        console.log(`[${new Date().toISOString()}] [${store.id}] Cache is ${Math.round(ageMs/60000)} minutes old, triggering refresh`);
+        done.catch(err => console.error('Background refresh failed:', err.message));
+      }
     }
 
     return parsed;
   } catch (error) {
     // If no cached data, scrape now
-    console.log(`[${new Date().toISOString()}] No cached data, scraping now...`);
-    return await scrapeBanners();
+    console.log(`[${new Date().toISOString()}] [${store.id}] No cached data, scraping now...`);
+    return await startScrape(store.id, 'on_demand').done;
   }
 }
 
-module.exports = { scrapeBanners, getBanners };
+module.exports = { scrapeBanners, getBanners, approveQuarantine, rejectQuarantine, cacheFile };
 
-// CLI entrypoint: allow running directly with `node scraper.js`
+// CLI entrypoint: `node scraper.js` scrapes every store, `node scraper.js <storeId>` just one.
+// `--record <dir>` / `--replay <dir>` record to or replay from fixtures (see fixtures.js).
 if (require.main === module) {
-  scrapeBanners()
-    .then(result => {
-      console.log(`Done. Scraped ${result.count} banners.`);
-      process.exit(0);
-    })
+  const args = process.argv.slice(2);
+  for (const [flag, env] of [['--record', 'SCRAPE_RECORD'], ['--replay', 'SCRAPE_REPLAY']]) {
+    const i = args.indexOf(flag);
+    if (i === -1) continue;
+    if (!args[i + 1]) {
+      console.error(`Usage: node scraper.js [storeId] ${flag} <dir>`);
+      process.exit(1);
+    }
+    process.env[env] = args[i + 1];
+    args.splice(i, 2);
+  }
+  const storeIds = args[0] ? [args[0]] : getStores().map(s => s.id);
+  (async () => {
+    for (const storeId of storeIds) {
+      const result = await scrapeBanners(storeId, { trigger: 'cli' });
+      console.log(`Done. Scraped ${result.count} banners for ${storeId}.`);
+    }
+  })()
+    .finally(() => Promise.allSettled([closeBrowser(), settleDeliveries()]))
+    .then(() => process.exit(0))
     .catch(err => {
       console.error('Scrape failed:', err.message);
       process.exit(1);
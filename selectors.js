@@ -0,0 +1,76 @@
+const fs = require('fs');
+
+/**
+ * Selector profiles describe how to find banners in Dutchie's embedded menu:
+ *   image - CSS selector matching the banner <img> elements
+ *   link  - selector for the click-through ancestor of each image (img.closest)
+ *   next  - selector for the carousel's "next slide" button
+ * Profiles are tried in order; the first whose image selector matches wins.
+ */
+const BUILTIN_PROFILES = [
+  {
+    name: 'menu-image',
+    image: 'img[class*="menu-image__MainImage"]',
+    link: 'a',
+    next: 'button[class*="arrow"][class*="right"], button[class*="arrow"][class*="next"], button[class*="Next"], [class*="carousel"] button:last-of-type, [class*="banner"] button:last-of-type'
+  },
+  {
+    name: 'banner-image',
+    image: 'img[class*="MainImage"], img[class*="BannerImage"], img[class*="banner-image"]',
+    link: 'a',
+    next: 'button[aria-label*="next" i], button[class*="Next"], button[class*="next"]'
+  },
+  {
+    name: 'carousel',
+    image: '[class*="carousel"] img, [class*="Carousel"] img',
+    link: 'a',
+    next: '[class*="carousel"] button[aria-label*="next" i], [class*="Carousel"] button[aria-label*="next" i], [class*="carousel"] button:last-of-type'
+  }
+];
+
+// Thrown when no profile's image selector matches the page
+class SelectorsStaleError extends Error {
+  constructor(profileNames) {
+    super(`Selectors stale: no selector profile matched the page (tried ${profileNames.join(', ')})`);
+    this.name = 'SelectorsStaleError';
+    this.code = 'SELECTORS_STALE';
+  }
+}
+
+function validateProfile(profile, source) {
+  if (!profile || typeof profile.name !== 'string' || typeof profile.image !== 'string') {
+    throw new Error(`Invalid selector profile in ${source}: each profile needs a "name" and an "image" selector`);
+  }
+  return {
+    name: profile.name,
+    image: profile.image,
+    link: typeof profile.link === 'string' ? profile.link : 'a',
+    next: typeof profile.next === 'string' ? profile.next : null
+  };
+}
+
+let profiles = null;
+
+/**
+ * Profiles from the JSON file named by SELECTOR_PROFILES_FILE (an array of
+ * profiles) are tried first, followed by the built-in ones.
+ */
+function getSelectorProfiles() {
+  if (profiles) return profiles;
+
+  const custom = [];
+  const file = process.env.SELECTOR_PROFILES_FILE;
+  if (file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(parsed)) {
+      throw new Error(`${file} must contain an array of selector profiles`);
+    }
+    for (const profile of parsed) custom.push(validateProfile(profile, file));
+  }
+
+  const customNames = new Set(custom.map(p => p.name));
+  profiles = [...custom, ...BUILTIN_PROFILES.filter(p => !customNames.has(p.name))];
+  return profiles;
+}
+
+module.exports = { BUILTIN_PROFILES, SelectorsStaleError, getSelectorProfiles };
@@ -1,7 +1,34 @@
 const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
-const { scrapeBanners, getBanners } = require('./scraper');
+const { scrapeBanners, getBanners, approveQuarantine, rejectQuarantine, cacheFile } = require('./scraper');
+const { closeBrowser, getBrowserStats } = require('./browser');
+const { getStores, getStore, getDefaultStore } = require('./stores');
+const { getHistory, getChangesSince } = require('./history');
+const { listWebhooks, createWebhook, deleteWebhook, getDeliveries } = require('./webhooks');
+const { imagePath, isImageFile, localizeBanner, saveUploadedImage } = require('./images');
+const { getQuarantine } = require('./guard');
+const { readJson } = require('./storage');
+const {
+  bannerIdentity,
+  getOverrides,
+  applyOverrides,
+  setBannerOverride,
+  setOrder,
+  addCustomBanner,
+  deleteCustomBanner,
+  resetOverrides
+} = require('./overrides');
+const metrics = require('./metrics');
+const { FEED_TYPES, feedItems, renderFeed } = require('./feeds');
+const { CAROUSEL_CSS, CAROUSEL_HTML, createDutchieCarousel } = require('./carousel');
+const { InvalidWidgetOptionError, getWidgetThemes, resolveWidgetOptions } = require('./widget-options');
+const { openStream, publishBannerUpdate, lastBannerUpdate, streamClientCount, closeStreams } = require('./stream');
+const { listRuns, getRun, restoreStatus } = require('./runs');
+const { startJob, setJobRun, getJob } = require('./jobs');
+const { listFailureBundles, getFailureBundle, failureBundleFile } = require('./forensics');
+const { ApiKeyError, authRequired, adminKeyConfigured, listKeys, createKey, revokeKey, authenticateKey } = require('./apikeys');
+const { trackingId, normalizeOrigin, trackBanners, getTrackedBanner, recordEvent, getAnalytics, flushAnalytics } = require('./analytics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -9,28 +36,54 @@ const SCRAPE_INTERVAL = (parseInt(process.env.SCRAPE_INTERVAL_MINUTES) || 15) *
 const RETRY_INTERVAL = 5 * 60 * 1000; // 5 minutes retry on failure
 const MAX_RETRIES = 3;
 
-// API Key from environment variable
-const API_KEY = process.env.API_KEY;
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['*'];
 
-// Scrape status tracking
-let scrapeStatus = {
-  lastAttempt: null,
-  lastSuccess: null,
-  lastError: null,
-  consecutiveFailures: 0,
-  totalScrapes: 0,
-  totalFailures: 0,
-  isRunning: false,
-  nextScheduled: null
+// Public origin used for mirrored image URLs, e.g. https://api.example.com
+// Falls back to the host of each request when not set.
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+const stores = getStores();
+// Loaded up front so a broken WIDGET_THEMES_FILE fails at startup
+const widgetThemes = getWidgetThemes();
+
+// Scrape status tracking, one entry per store
+const scrapeStatuses = {};
+for (const store of stores) {
+  scrapeStatuses[store.id] = {
+    lastAttempt: null,
+    lastSuccess: null,
+    lastError: null,
+    lastErrorCode: null,
+    selectorsStale: false,
+    selectorProfiles: null,
+    quarantined: null,
+    consecutiveFailures: 0,
+    totalScrapes: 0,
+    totalFailures: 0,
+    isRunning: false,
+    nextScheduled: null,
+    lastDurationMs: null,
+    lastPeakMemoryMb: null,
+    lastRunId: null
+  };
+}
+
+const storeHealth = (scrapeStatus) => {
+  if (scrapeStatus.quarantined) return 'quarantined';
+  if (scrapeStatus.consecutiveFailures === 0) return 'healthy';
+  return scrapeStatus.selectorsStale ? 'selectors_stale' : 'degraded';
 };
 
+const allStoresHealthy = () => stores.every(s => storeHealth(scrapeStatuses[s.id]) === 'healthy');
+
 // Enable CORS for configured domains
 app.use(cors({
   origin: ALLOWED_ORIGINS.includes('*') ? '*' : ALLOWED_ORIGINS,
   methods: ['GET']
 }));
 
+app.use(express.json());
+
 // Request logging middleware
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -38,77 +91,198 @@ app.use((req, res, next) => {
   next();
 });
 
-// API Key validation middleware
-const validateApiKey = (req, res, next) => {
-  if (!API_KEY) return next();
+// Request counts and latencies for /metrics, labelled by route pattern
+// (not the raw path) so store ids and image names don't explode the series
+app.use((req, res, next) => {
+  const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : 'unmatched';
+    endTimer({ route });
+    metrics.httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
+
+// API key validation middleware for routes needing the given scope (see
+// apikeys.js). The key's { id, name, scopes } is left in req.apiKey.
+const requireScope = (scope) => async (req, res, next) => {
+  if (scope === 'admin' && !(await adminKeyConfigured())) {
+    metrics.authFailuresTotal.inc({ status: 403 });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'The admin API is disabled. Set ADMIN_API_KEY to enable it'
+    });
+  }
+  if (scope !== 'admin' && !(await authRequired())) return next();
 
   const providedKey = req.headers['x-api-key'] || req.query.key;
 
   if (!providedKey) {
+    metrics.authFailuresTotal.inc({ status: 401 });
     return res.status(401).json({
       error: 'Unauthorized',
       message: 'API key required. Provide via X-API-Key header or ?key= parameter'
     });
   }
 
-  if (providedKey.length !== API_KEY.length ||
-      !crypto.timingSafeEqual(Buffer.from(providedKey), Buffer.from(API_KEY))) {
-    return res.status(403).json({
-      error: 'Forbidden',
-      message: 'Invalid API key'
+  try {
+    const { key, rate } = await authenticateKey(String(providedKey), {
+      scope,
+      origin: normalizeOrigin(req.get('Origin')) || normalizeOrigin(req.get('Referer')),
+      ownOrigin: new URL(publicBaseUrl(req)).origin
+    });
+    if (rate) setRateLimitHeaders(res, rate);
+    req.apiKey = key;
+  } catch (error) {
+    if (!(error instanceof ApiKeyError)) throw error;
+    metrics.authFailuresTotal.inc({ status: error.status });
+    if (error.rate) setRateLimitHeaders(res, error.rate);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({
+      error: error.status === 429 ? 'Too Many Requests' : 'Forbidden',
+      message: error.message
     });
   }
 
   next();
 };
 
-// Perform a scrape with retry logic
-async function performScrape(isRetry = false) {
-  if (scrapeStatus.isRunning) {
-    console.log(`[${new Date().toISOString()}] Scrape already in progress, skipping`);
-    return null;
+function setRateLimitHeaders(res, rate) {
+  res.set({
+    'X-RateLimit-Limit': String(rate.limit),
+    'X-RateLimit-Remaining': String(rate.remaining),
+    'X-RateLimit-Reset': String(rate.reset)
+  });
+}
+
+const validateApiKey = requireScope('read');
+const validateRefreshKey = requireScope('refresh');
+const validateAdminKey = requireScope('admin');
+
+// Resolve the :storeId route parameter, 404 for stores that aren't configured
+const resolveStore = (req, res, next) => {
+  const store = getStore(req.params.storeId);
+  if (!store) {
+    return res.status(404).json({ error: 'Not Found', message: `Unknown store "${req.params.storeId}"` });
   }
+  req.store = store;
+  next();
+};
+
+// Id, duration and peak browser memory of the store's latest scrape run
+async function recordRunStats(scrapeStatus, runId) {
+  const run = runId ? await getRun(runId) : null;
+  scrapeStatus.lastRunId = runId || null;
+  scrapeStatus.lastDurationMs = run ? run.durationMs : null;
+  scrapeStatus.lastPeakMemoryMb = run ? run.peakMemoryMb : null;
+}
+
+/**
+ * Start a scrape of the store as a job (see jobs.js), or join the one
+ * already in flight. `trigger` is recorded in the scrape run log: startup,
+ * schedule, retry, manual, or stale_cache and on_demand for the scrapes
+ * getBanners() starts. Returns { job, joined, done }.
+ */
+function startScrape(storeId, trigger = 'schedule') {
+  return startJob(storeId, trigger, performScrape);
+}
+
+// Perform a job's scrape with retry logic
+async function performScrape(job) {
+  const storeId = job.store;
+  const scrapeStatus = scrapeStatuses[storeId];
+  const isRetry = job.trigger === 'retry';
 
   scrapeStatus.isRunning = true;
   scrapeStatus.lastAttempt = new Date().toISOString();
   scrapeStatus.totalScrapes++;
 
   try {
-    const result = await scrapeBanners();
+    const result = await scrapeBanners(storeId, { trigger: job.trigger, onRun: run => setJobRun(job, run) });
+    await recordRunStats(scrapeStatus, result.runId);
     scrapeStatus.lastSuccess = new Date().toISOString();
     scrapeStatus.lastError = null;
+    scrapeStatus.lastErrorCode = null;
+    scrapeStatus.selectorsStale = false;
+    scrapeStatus.selectorProfiles = result.selectorProfiles || null;
+    scrapeStatus.quarantined = null;
     scrapeStatus.consecutiveFailures = 0;
     scrapeStatus.isRunning = false;
-    console.log(`[${new Date().toISOString()}] Scrape successful: ${result.count} banners`);
+    metrics.scrapesTotal.inc({ store: storeId, result: 'success' });
+    console.log(`[${new Date().toISOString()}] [${storeId}] Scrape successful: ${result.count} banners`);
+
     return result;
   } catch (error) {
     scrapeStatus.consecutiveFailures++;
     scrapeStatus.totalFailures++;
+    await recordRunStats(scrapeStatus, error.runId);
     scrapeStatus.lastError = error.message;
+    scrapeStatus.lastErrorCode = error.code || null;
+    // Dutchie changed its markup and none of the selector profiles match any more
+    scrapeStatus.selectorsStale = error.code === 'SELECTORS_STALE';
+    if (error.code === 'SCRAPE_QUARANTINED') {
+      scrapeStatus.quarantined = { at: new Date().toISOString(), violations: error.violations };
+    }
     scrapeStatus.isRunning = false;
-    console.error(`[${new Date().toISOString()}] Scrape failed (attempt ${scrapeStatus.consecutiveFailures}): ${error.message}`);
+    metrics.scrapesTotal.inc({ store: storeId, result: error.code === 'SCRAPE_QUARANTINED' ? 'quarantined' : 'failure' });
+    console.error(`[${new Date().toISOString()}] [${storeId}] Scrape failed (attempt ${scrapeStatus.consecutiveFailures}): ${error.message}`);
 
-    // Schedule retry if under max retries
-    if (scrapeStatus.consecutiveFailures < MAX_RETRIES && !isRetry) {
-      console.log(`[${new Date().toISOString()}] Scheduling retry in ${RETRY_INTERVAL / 60000} minutes`);
-      setTimeout(() => performScrape(true), RETRY_INTERVAL);
+    // Schedule retry if under max retries. Quarantined scrapes wait for review instead.
+    if (scrapeStatus.consecutiveFailures < MAX_RETRIES && !isRetry && error.code !== 'SCRAPE_QUARANTINED') {
+      console.log(`[${new Date().toISOString()}] [${storeId}] Scheduling retry in ${RETRY_INTERVAL / 60000} minutes`);
+      setTimeout(() => startScrape(storeId, 'retry').done.catch(() => {}), RETRY_INTERVAL);
     }
 
     throw error;
   }
 }
 
-// Schedule next scrape
-function scheduleNextScrape() {
-  scrapeStatus.nextScheduled = new Date(Date.now() + SCRAPE_INTERVAL).toISOString();
+// Restore counters, last success and last error from the scrape run log,
+// so a restart doesn't reset them
+async function loadRunStatus() {
+  for (const store of stores) {
+    try {
+      const restored = await restoreStatus(store.id);
+      if (restored) {
+        Object.assign(scrapeStatuses[store.id], restored);
+      }
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [${store.id}] Failed to read scrape run log: ${error.message}`);
+    }
+  }
+}
+
+// Restore quarantine flags left over from before a restart
+async function loadQuarantineStatus() {
+  for (const store of stores) {
+    try {
+      const entry = await getQuarantine(store.id);
+      if (entry) {
+        scrapeStatuses[store.id].quarantined = { at: entry.quarantinedAt, violations: entry.violations };
+      }
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [${store.id}] Failed to read quarantine: ${error.message}`);
+    }
+  }
+}
+
+// Schedule next scrape for a store
+function scheduleNextScrape(storeId, delay = SCRAPE_INTERVAL) {
+  scrapeStatuses[storeId].nextScheduled = new Date(Date.now() + delay).toISOString();
   setTimeout(async () => {
     try {
-      await performScrape();
+      await startScrape(storeId).done;
     } catch (e) {
       // Error already logged
     }
-    scheduleNextScrape();
-  }, SCRAPE_INTERVAL);
+    scheduleNextScrape(storeId);
+  }, delay);
+}
+
+// Spread stores evenly across the interval so their scrapes don't pile up
+function scheduleAllStores() {
+  const stagger = SCRAPE_INTERVAL / stores.length;
+  stores.forEach((store, i) => scheduleNextScrape(store.id, SCRAPE_INTERVAL + Math.round(i * stagger)));
 }
 
 // Health check (no auth required)
@@ -117,26 +291,168 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     scrapeStatus: {
-      lastSuccess: scrapeStatus.lastSuccess,
-      isHealthy: scrapeStatus.consecutiveFailures === 0
+      lastSuccess: scrapeStatuses[getDefaultStore().id].lastSuccess,
+      isHealthy: allStoresHealthy()
     }
   });
 });
 
+// Per-store gauges, refreshed from the scrape status and cache on every /metrics request
+const consecutiveFailuresGauge = metrics.gauge('dutchie_scrape_consecutive_failures', 'Failed scrapes since the last success');
+const scrapeRunningGauge = metrics.gauge('dutchie_scrape_running', 'Whether a scrape is in progress (1) or not (0)');
+const storeHealthyGauge = metrics.gauge('dutchie_store_healthy', 'Whether the store is healthy (1) or degraded, stale or quarantined (0)');
+const bannerCountGauge = metrics.gauge('dutchie_banners', 'Banners in the published cache');
+const cacheAgeGauge = metrics.gauge('dutchie_cache_age_seconds', 'Seconds since the published cache was scraped');
+const streamClientsGauge = metrics.gauge('dutchie_stream_clients', 'Open /banners/stream connections');
+const browserMemoryGauge = metrics.gauge('dutchie_browser_memory_bytes', 'Resident memory of the warm Chromium and its child processes');
+const browserRestartsGauge = metrics.gauge('dutchie_browser_restarts', 'Browser restarts since startup (use limit, memory limit or crash)');
+
+metrics.addCollector(async () => {
+  for (const store of stores) {
+    const scrapeStatus = scrapeStatuses[store.id];
+    const labels = { store: store.id };
+    consecutiveFailuresGauge.set(labels, scrapeStatus.consecutiveFailures);
+    scrapeRunningGauge.set(labels, scrapeStatus.isRunning ? 1 : 0);
+    storeHealthyGauge.set(labels, storeHealth(scrapeStatus) === 'healthy' ? 1 : 0);
+    streamClientsGauge.set(labels, streamClientCount(store.id));
+
+    const cache = await readJson(cacheFile(store.id), null);
+    if (cache) {
+      bannerCountGauge.set(labels, cache.count);
+      cacheAgeGauge.set(labels, Math.max(0, Math.round((Date.now() - new Date(cache.scrapedAt).getTime()) / 1000)));
+    }
+  }
+
+  const browser = await getBrowserStats();
+  browserMemoryGauge.set({}, (browser.memoryMb || 0) * 1024 * 1024);
+  browserRestartsGauge.set({}, browser.restarts);
+});
+
+// Prometheus metrics (no auth required for monitoring, like /api/status)
+app.get('/metrics', async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await metrics.renderMetrics());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to render metrics', message: error.message });
+  }
+});
+
 // Scrape status endpoint (no auth required for monitoring)
-app.get('/api/status', (req, res) => {
+// Top-level fields describe the default store; `stores` has every store.
+app.get('/api/status', async (req, res) => {
+  const storeStatuses = {};
+  for (const [storeId, scrapeStatus] of Object.entries(scrapeStatuses)) {
+    storeStatuses[storeId] = {
+      status: storeHealth(scrapeStatus),
+      ...scrapeStatus
+    };
+  }
+
   res.json({
-    status: scrapeStatus.consecutiveFailures === 0 ? 'healthy' : 'degraded',
-    ...scrapeStatus,
+    status: allStoresHealthy() ? 'healthy' : 'degraded',
+    ...scrapeStatuses[getDefaultStore().id],
+    stores: storeStatuses,
+    browser: await getBrowserStats(),
     uptime: process.uptime(),
     scrapeInterval: `${SCRAPE_INTERVAL / 60000} minutes`
   });
 });
 
-// Get cached banners (requires API key)
-app.get('/api/banners', validateApiKey, async (req, res) => {
+const publicBaseUrl = (req) => PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+// Point banner image URLs at our mirrored copies
+const localizeResult = (data, req) => {
+  const localize = (list) => (list || []).map(b => localizeBanner(b, publicBaseUrl(req)));
+  const variantOnlyBanners = {};
+  for (const [pass, list] of Object.entries(data.variantOnlyBanners || {})) {
+    variantOnlyBanners[pass] = localize(list);
+  }
+  return {
+    ...data,
+    banners: localize(data.banners),
+    mobileOnlyBanners: localize(data.mobileOnlyBanners),
+    variantOnlyBanners
+  };
+};
+
+// Polled responses carry a content-based ETag and Last-Modified so clients and
+// CDNs can revalidate with a 304 instead of downloading the same JSON again.
+const contentEtag = (value) => `W/"${crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 32)}"`;
+
+// If-None-Match wins over If-Modified-Since when both are sent (RFC 9110)
+function isNotModified(req, etag, lastModified) {
+  const noneMatch = req.get('if-none-match');
+  if (noneMatch) {
+    const weak = (tag) => tag.trim().replace(/^W\//, '');
+    return noneMatch.split(',').some(tag => tag.trim() === '*' || weak(tag) === weak(etag));
+  }
+  const modifiedSince = Date.parse(req.get('if-modified-since'));
+  return Boolean(lastModified) && !Number.isNaN(modifiedSince) && Math.floor(lastModified / 1000) * 1000 <= modifiedSince;
+}
+
+/**
+ * Set validators and Cache-Control for a polled response and answer a
+ * matching conditional request with 304. Returns true when a 304 was sent.
+ * Responses stay fresh until the store's next scheduled scrape (at most one
+ * SCRAPE_INTERVAL) and may be served stale for another interval while a
+ * cache revalidates. Without a Last-Modified, If-Modified-Since is ignored.
+ * Responses needing a key are private: CDNs ignore Vary on most headers and
+ * would hand a keyed response to keyless clients.
+ */
+async function sendIfNotModified(req, res, { etag, lastModified, nextScrape, maxAgeCap }) {
+  const untilNextScrape = nextScrape ? new Date(nextScrape).getTime() - Date.now() : SCRAPE_INTERVAL;
+  const maxAge = Math.round(Math.min(Math.max(untilNextScrape, 0), SCRAPE_INTERVAL, maxAgeCap || Infinity) / 1000);
+
+  res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+  const visibility = (await authRequired()) ? 'private' : 'public';
+  res.set('Cache-Control', `${visibility}, max-age=${maxAge}, stale-while-revalidate=${SCRAPE_INTERVAL / 1000}`);
+  // The key may come in a header instead of the URL; keep caches from sharing across keys
+  res.vary('X-API-Key');
+
+  if (isNotModified(req, etag, lastModified)) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+// ?at= previews the banners scheduled for another moment (ISO 8601)
+function parseAt(req) {
+  if (req.query.at === undefined) return null;
+  const at = new Date(req.query.at);
+  return Number.isNaN(at.getTime()) ? undefined : at;
+}
+
+async function sendBanners(store, req, res) {
+  const at = parseAt(req);
+  if (at === undefined) {
+    return res.status(400).json({ error: 'Bad Request', message: 'at must be an ISO 8601 date-time' });
+  }
+
   try {
-    const data = await getBanners();
+    const result = await getBanners(store.id, { at: at || new Date(), startScrape });
+    // ?track=1 routes links through the click redirect and adds impression
+    // beacons. Tracking ids come from the scraped image URLs, so banners are
+    // tracked before their images are localized: the ids mustn't depend on the host.
+    const track = req.query.track === '1' || req.query.track === 'true';
+    const data = localizeResult(track ? await trackBanners(store, result, publicBaseUrl(req)) : result, req);
+
+    // The `cache` block below changes every minute, so it's left out of the
+    // ETag. Scheduled banners can appear or disappear without anything being
+    // modified, so those responses are only validated by ETag and cached briefly.
+    const scheduled = data.overrides && data.overrides.scheduled > 0;
+    const lastModified = scheduled ? null : Math.max(
+      new Date(data.scrapedAt).getTime(),
+      data.overrides && data.overrides.updatedAt ? new Date(data.overrides.updatedAt).getTime() : 0
+    );
+    const notModified = await sendIfNotModified(req, res, {
+      etag: contentEtag({ ...data, previewAt: at && at.toISOString() }),
+      lastModified,
+      nextScrape: scrapeStatuses[store.id].nextScheduled,
+      maxAgeCap: scheduled ? 60 * 1000 : null
+    });
+    if (notModified) return;
 
     // Add cache freshness info
     const scrapedAt = new Date(data.scrapedAt);
@@ -144,36 +460,603 @@ app.get('/api/banners', validateApiKey, async (req, res) => {
 
     res.json({
       ...data,
+      ...(at && { previewAt: at.toISOString() }),
       cache: {
         ageMinutes,
         isFresh: ageMinutes < (SCRAPE_INTERVAL / 60000) * 1.5,
-        nextRefresh: scrapeStatus.nextScheduled
+        nextRefresh: scrapeStatuses[store.id].nextScheduled
       }
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get banners', message: error.message });
   }
-});
+}
 
-// Force a fresh scrape (requires API key)
-app.get('/api/banners/refresh', validateApiKey, async (req, res) => {
+// Queue a scrape and answer right away; poll the job for progress. While a
+// scrape of the store is in flight, the caller joins it instead.
+function sendRefresh(store, req, res) {
+  const { job, joined } = startScrape(store.id, 'manual');
+  const statusUrl = `/api/jobs/${job.id}`;
+  res.status(202).location(statusUrl).json({ ...getJob(job.id), joined, statusUrl });
+}
+
+// Deprecated blocking refresh (GET): waits for the scrape, joining one in
+// flight, and returns the banners
+async function sendRefreshAndWait(store, req, res) {
   try {
-    const data = await performScrape();
-    if (!data) {
-      return res.status(409).json({ error: 'Scrape already in progress' });
-    }
+    const data = await startScrape(store.id, 'manual').done;
     res.json({
-      ...data,
+      ...localizeResult(data, req),
       refreshed: true
     });
   } catch (error) {
     res.status(500).json({ error: 'Scrape failed', message: error.message });
   }
+}
+
+async function sendHistory(store, req, res) {
+  try {
+    const limit = parseInt(req.query.limit);
+    const snapshots = await getHistory(store.id);
+    const recent = limit > 0 ? snapshots.slice(-limit) : snapshots;
+    res.json({
+      store: store.id,
+      snapshots: recent.reverse().map(s => ({ ...s, banners: s.banners.map(b => localizeBanner(b, publicBaseUrl(req))) })),
+      count: recent.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get history', message: error.message });
+  }
+}
+
+async function sendChanges(store, req, res) {
+  // Accept an ISO timestamp or epoch milliseconds
+  const since = req.query.since ? new Date(/^\d+$/.test(req.query.since) ? Number(req.query.since) : req.query.since) : new Date(0);
+  if (isNaN(since.getTime())) {
+    return res.status(400).json({ error: 'Bad Request', message: 'since must be an ISO timestamp or epoch milliseconds' });
+  }
+
+  try {
+    const changes = await getChangesSince(store.id, since);
+    res.json({
+      store: store.id,
+      since: since.toISOString(),
+      changes,
+      count: changes.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get changes', message: error.message });
+  }
+}
+
+// Mirrored banner images (no auth; content-addressed so they never change)
+app.get('/images/:file', (req, res) => {
+  if (!isImageFile(req.params.file)) {
+    return res.status(404).json({ error: 'Not Found' });
+  }
+  res.sendFile(imagePath(req.params.file), {
+    maxAge: '1y',
+    immutable: true,
+    headers: { 'X-Content-Type-Options': 'nosniff' }
+  }, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Not Found' });
+  });
 });
 
+async function sendQuarantine(store, req, res) {
+  try {
+    const entry = await getQuarantine(store.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not Found', message: 'No quarantined scrape' });
+    }
+    res.json({
+      store: store.id,
+      quarantinedAt: entry.quarantinedAt,
+      violations: entry.violations,
+      ...localizeResult(entry.result, req)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get quarantine', message: error.message });
+  }
+}
+
+async function sendApproveQuarantine(store, req, res) {
+  try {
+    const result = await approveQuarantine(store.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Not Found', message: 'No quarantined scrape' });
+    }
+
+    const scrapeStatus = scrapeStatuses[store.id];
+    scrapeStatus.quarantined = null;
+    scrapeStatus.lastSuccess = new Date().toISOString();
+    scrapeStatus.lastError = null;
+    scrapeStatus.lastErrorCode = null;
+    scrapeStatus.consecutiveFailures = 0;
+
+    res.json({ ...localizeResult(result, req), approved: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to approve quarantine', message: error.message });
+  }
+}
+
+async function sendRejectQuarantine(store, req, res) {
+  try {
+    if (!(await rejectQuarantine(store.id))) {
+      return res.status(404).json({ error: 'Not Found', message: 'No quarantined scrape' });
+    }
+    scrapeStatuses[store.id].quarantined = null;
+    res.json({ store: store.id, rejected: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reject quarantine', message: error.message });
+  }
+}
+
+// Overrides fail with 400 for bad input and 500 for anything else
+const sendOverrideError = (res, error, action) => {
+  if (error.code === 'INVALID_OVERRIDE') {
+    return res.status(400).json({ error: 'Bad Request', message: error.message });
+  }
+  res.status(500).json({ error: `Failed to ${action}`, message: error.message });
+};
+
+// The override layer plus the scraped banners it applies to, each with the
+// `key` used to address it
+async function sendOverrides(store, req, res) {
+  try {
+    const overrides = await getOverrides(store.id);
+    const cache = await readJson(cacheFile(store.id), null);
+    const baseUrl = publicBaseUrl(req);
+    const describe = (banner) => ({
+      key: bannerIdentity(banner),
+      ...localizeBanner(banner, baseUrl),
+      override: overrides.banners[bannerIdentity(banner)] || null
+    });
+
+    res.json({
+      store: store.id,
+      order: overrides.order,
+      updatedAt: overrides.updatedAt,
+      banners: (cache ? cache.banners : []).map(describe),
+      customBanners: overrides.customBanners.map(describe),
+      // Overrides for banners that aren't in the current scrape; they apply
+      // again if the banner comes back
+      inactive: Object.entries(overrides.banners)
+        .filter(([key]) => !(cache ? cache.banners : []).some(b => bannerIdentity(b) === key) &&
+          !overrides.customBanners.some(b => b.id === key))
+        .map(([key, override]) => ({ key, override }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get overrides', message: error.message });
+  }
+}
+
+async function sendSetBannerOverride(store, req, res) {
+  const { banner, hidden, pin, link, alt, schedule } = req.body || {};
+  try {
+    const override = await setBannerOverride(store.id, banner, { hidden, pin, link, alt, schedule });
+    publishBannerUpdate(store.id, 'overrides');
+    res.json({ store: store.id, key: banner, override });
+  } catch (error) {
+    sendOverrideError(res, error, 'update override');
+  }
+}
+
+async function sendSetOrder(store, req, res) {
+  try {
+    const order = await setOrder(store.id, (req.body || {}).order);
+    publishBannerUpdate(store.id, 'overrides');
+    res.json({ store: store.id, order });
+  } catch (error) {
+    sendOverrideError(res, error, 'update order');
+  }
+}
+
+async function sendResetOverrides(store, req, res) {
+  try {
+    await resetOverrides(store.id);
+    publishBannerUpdate(store.id, 'overrides');
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reset overrides', message: error.message });
+  }
+}
+
+async function sendAddCustomBanner(store, req, res) {
+  const { image, link, alt } = req.body || {};
+  try {
+    const banner = await addCustomBanner(store.id, { image, link, alt });
+    publishBannerUpdate(store.id, 'overrides');
+    res.status(201).json({ key: banner.id, ...localizeBanner(banner, publicBaseUrl(req)) });
+  } catch (error) {
+    sendOverrideError(res, error, 'add custom banner');
+  }
+}
+
+async function sendDeleteCustomBanner(store, req, res) {
+  try {
+    if (!(await deleteCustomBanner(store.id, req.params.id))) {
+      return res.status(404).json({ error: 'Not Found', message: 'Unknown custom banner' });
+    }
+    publishBannerUpdate(store.id, 'overrides');
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete custom banner', message: error.message });
+  }
+}
+
+// Current banners as an RSS, Atom or JSON Feed, newest first
+async function sendFeed(store, req, res) {
+  const format = req.params.format;
+  if (!FEED_TYPES[format]) {
+    return res.status(404).json({ error: 'Not Found', message: 'Feeds are available as .rss, .atom and .json' });
+  }
+
+  try {
+    const data = await getBanners(store.id, { startScrape });
+    const items = feedItems(data, bannerIdentity, b => localizeBanner(b, publicBaseUrl(req))).sort((a, b) => b.published.localeCompare(a.published));
+    const updated = new Date(Math.max(
+      new Date(data.scrapedAt).getTime(),
+      data.overrides && data.overrides.updatedAt ? new Date(data.overrides.updatedAt).getTime() : 0
+    ));
+
+    const scheduled = data.overrides && data.overrides.scheduled > 0;
+    const notModified = await sendIfNotModified(req, res, {
+      etag: contentEtag({ format, items }),
+      lastModified: scheduled ? null : updated.getTime(),
+      nextScrape: scrapeStatuses[store.id].nextScheduled,
+      maxAgeCap: scheduled ? 60 * 1000 : null
+    });
+    if (notModified) return;
+
+    // The feed's self link (and Atom id) must not carry the caller's ?key=:
+    // feeds get republished, and every key would make a different feed
+    const feedUrl = new URL(req.originalUrl, publicBaseUrl(req));
+    feedUrl.searchParams.delete('key');
+
+    res.type(FEED_TYPES[format]).send(renderFeed(format, {
+      title: `Promotions (${store.id})`,
+      homeUrl: store.url,
+      feedUrl: `${publicBaseUrl(req)}${feedUrl.pathname}${feedUrl.search}`,
+      updated: updated.toISOString(),
+      items
+    }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get feed', message: error.message });
+  }
+}
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function sendAnalytics(store, req, res) {
+  const { from, to, banner, origin } = req.query;
+  if ([from, to].some(day => day !== undefined && !(typeof day === 'string' && DAY_PATTERN.test(day)))) {
+    return res.status(400).json({ error: 'Bad Request', message: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+  try {
+    res.json(await getAnalytics(store, {
+      from,
+      to,
+      banner: typeof banner === 'string' ? banner : undefined,
+      origin: typeof origin === 'string' ? origin : undefined
+    }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get analytics', message: error.message });
+  }
+}
+
+// The store of a click or impression: ?store=<id>, else the default one
+function trackedStore(req, res) {
+  const store = req.query.store ? getStore(req.query.store) : getDefaultStore();
+  if (!store) {
+    res.status(404).json({ error: 'Not Found', message: 'Unknown store' });
+  }
+  return store;
+}
+
+// The embedding page, as passed by the widget (?origin=), else the referrer
+const eventOrigin = (req) => normalizeOrigin(req.query.origin) || normalizeOrigin(req.get('Referer'));
+
+// Get cached banners for the default store (requires API key)
+app.get('/api/banners', validateApiKey, (req, res) => sendBanners(getDefaultStore(), req, res));
+
+// Server-Sent Events whenever the default store's banners change (requires API key)
+app.get('/api/banners/stream', validateApiKey, (req, res) => openStream(getDefaultStore().id, req, res));
+
+// Force a fresh scrape of the default store (requires a key with the refresh scope)
+app.post('/api/banners/refresh', validateRefreshKey, (req, res) => sendRefresh(getDefaultStore(), req, res));
+app.get('/api/banners/refresh', validateRefreshKey, (req, res) => sendRefreshAndWait(getDefaultStore(), req, res));
+
+// Progress of a refresh job (requires a key with the refresh scope)
+app.get('/api/jobs/:id', validateRefreshKey, (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Not Found', message: 'Unknown job (finished jobs are kept for an hour)' });
+  }
+  res.json(job);
+});
+
+// Scrape snapshot history and banner changes for the default store (requires API key)
+app.get('/api/banners/history', validateApiKey, (req, res) => sendHistory(getDefaultStore(), req, res));
+app.get('/api/banners/changes', validateApiKey, (req, res) => sendChanges(getDefaultStore(), req, res));
+
+// Review a quarantined scrape of the default store (requires admin key)
+app.get('/api/banners/quarantine', validateAdminKey, (req, res) => sendQuarantine(getDefaultStore(), req, res));
+app.post('/api/banners/quarantine/approve', validateAdminKey, (req, res) => sendApproveQuarantine(getDefaultStore(), req, res));
+app.post('/api/banners/quarantine/reject', validateAdminKey, (req, res) => sendRejectQuarantine(getDefaultStore(), req, res));
+
+// Manual overrides for the default store (requires admin key)
+app.get('/api/banners/overrides', validateAdminKey, (req, res) => sendOverrides(getDefaultStore(), req, res));
+app.delete('/api/banners/overrides', validateAdminKey, (req, res) => sendResetOverrides(getDefaultStore(), req, res));
+app.put('/api/banners/overrides/banner', validateAdminKey, (req, res) => sendSetBannerOverride(getDefaultStore(), req, res));
+app.put('/api/banners/overrides/order', validateAdminKey, (req, res) => sendSetOrder(getDefaultStore(), req, res));
+app.post('/api/banners/custom', validateAdminKey, (req, res) => sendAddCustomBanner(getDefaultStore(), req, res));
+app.delete('/api/banners/custom/:id', validateAdminKey, (req, res) => sendDeleteCustomBanner(getDefaultStore(), req, res));
+
+// Clicks, impressions and CTR (requires admin key)
+app.get('/api/analytics', validateAdminKey, (req, res) => sendAnalytics(getDefaultStore(), req, res));
+app.get('/api/stores/:storeId/analytics', validateAdminKey, resolveStore, (req, res) => sendAnalytics(req.store, req, res));
+
+// List configured stores (requires API key)
+app.get('/api/stores', validateApiKey, (req, res) => {
+  res.json({
+    stores: stores.map(store => ({
+      id: store.id,
+      source: store.url,
+      isDefault: store.id === getDefaultStore().id,
+      lastSuccess: scrapeStatuses[store.id].lastSuccess
+    }))
+  });
+});
+
+// Get cached banners for one store (requires API key)
+app.get('/api/stores/:storeId/banners', validateApiKey, resolveStore, (req, res) => sendBanners(req.store, req, res));
+
+// Server-Sent Events whenever one store's banners change (requires API key)
+app.get('/api/stores/:storeId/banners/stream', validateApiKey, resolveStore, (req, res) => openStream(req.store.id, req, res));
+
+// Force a fresh scrape of one store (requires a key with the refresh scope)
+app.post('/api/stores/:storeId/banners/refresh', validateRefreshKey, resolveStore, (req, res) => sendRefresh(req.store, req, res));
+app.get('/api/stores/:storeId/banners/refresh', validateRefreshKey, resolveStore, (req, res) => sendRefreshAndWait(req.store, req, res));
+
+// Snapshot history and banner changes for one store (requires API key)
+app.get('/api/stores/:storeId/banners/history', validateApiKey, resolveStore, (req, res) => sendHistory(req.store, req, res));
+app.get('/api/stores/:storeId/banners/changes', validateApiKey, resolveStore, (req, res) => sendChanges(req.store, req, res));
+
+// Review a quarantined scrape of one store (requires admin key)
+app.get('/api/stores/:storeId/banners/quarantine', validateAdminKey, resolveStore, (req, res) => sendQuarantine(req.store, req, res));
+app.post('/api/stores/:storeId/banners/quarantine/approve', validateAdminKey, resolveStore, (req, res) => sendApproveQuarantine(req.store, req, res));
+app.post('/api/stores/:storeId/banners/quarantine/reject', validateAdminKey, resolveStore, (req, res) => sendRejectQuarantine(req.store, req, res));
+
+// Manual overrides for one store (requires admin key)
+app.get('/api/stores/:storeId/banners/overrides', validateAdminKey, resolveStore, (req, res) => sendOverrides(req.store, req, res));
+app.delete('/api/stores/:storeId/banners/overrides', validateAdminKey, resolveStore, (req, res) => sendResetOverrides(req.store, req, res));
+app.put('/api/stores/:storeId/banners/overrides/banner', validateAdminKey, resolveStore, (req, res) => sendSetBannerOverride(req.store, req, res));
+app.put('/api/stores/:storeId/banners/overrides/order', validateAdminKey, resolveStore, (req, res) => sendSetOrder(req.store, req, res));
+app.post('/api/stores/:storeId/banners/custom', validateAdminKey, resolveStore, (req, res) => sendAddCustomBanner(req.store, req, res));
+app.delete('/api/stores/:storeId/banners/custom/:id', validateAdminKey, resolveStore, (req, res) => sendDeleteCustomBanner(req.store, req, res));
+
+// Upload an image for a custom banner: send the raw bytes with an image/*
+// Content-Type. Returns the `image` name to pass to POST .../banners/custom.
+app.post('/api/uploads', validateAdminKey, express.raw({ type: 'image/*', limit: '10mb' }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ error: 'Bad Request', message: 'Send the image bytes with an image/* Content-Type' });
+  }
+  try {
+    const image = await saveUploadedImage(req.body, req.get('content-type'));
+    res.status(201).json({
+      image: image.file,
+      url: `${publicBaseUrl(req)}/images/${image.file}`,
+      width: image.width,
+      height: image.height
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Bad Request', message: error.message });
+  }
+});
+
+// Webhook subscriptions (requires admin key)
+app.get('/api/webhooks', validateAdminKey, async (req, res) => {
+  try {
+    res.json({ webhooks: await listWebhooks() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list webhooks', message: error.message });
+  }
+});
+
+app.post('/api/webhooks', validateAdminKey, async (req, res) => {
+  const { url, secret, stores: storeIds, description } = req.body || {};
+  const unknown = Array.isArray(storeIds) ? storeIds.filter(id => !getStore(id)) : [];
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: 'Bad Request', message: `Unknown store(s): ${unknown.join(', ')}` });
+  }
+
+  try {
+    const webhook = await createWebhook({ url, secret, stores: storeIds, description });
+    res.status(201).json(webhook);
+  } catch (error) {
+    res.status(400).json({ error: 'Bad Request', message: error.message });
+  }
+});
+
+// Delivery log, newest first. Filter with ?webhookId=, ?status= and ?limit=
+app.get('/api/webhooks/deliveries', validateAdminKey, async (req, res) => {
+  try {
+    const deliveries = await getDeliveries({
+      webhookId: req.query.webhookId,
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json({ deliveries, count: deliveries.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get deliveries', message: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', validateAdminKey, async (req, res) => {
+  try {
+    if (!(await deleteWebhook(req.params.id))) {
+      return res.status(404).json({ error: 'Not Found', message: 'Unknown webhook' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete webhook', message: error.message });
+  }
+});
+
+// Scrape run log, newest first (requires admin key, as runs include stack
+// traces). Filter with ?store=, ?status= and ?limit=
+const RUN_STATUSES = ['running', 'success', 'failure', 'quarantined', 'interrupted'];
+
+app.get('/api/scrapes', validateAdminKey, async (req, res) => {
+  if (req.query.store !== undefined && !getStore(req.query.store)) {
+    return res.status(400).json({ error: 'Bad Request', message: 'Unknown store' });
+  }
+  if (req.query.status !== undefined && !RUN_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ error: 'Bad Request', message: `status must be one of: ${RUN_STATUSES.join(', ')}` });
+  }
+  try {
+    const scrapes = await listRuns({
+      store: req.query.store,
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json({ scrapes, count: scrapes.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get scrapes', message: error.message });
+  }
+});
+
+// One run with its attempts, viewport passes and error stack
+app.get('/api/scrapes/:id', validateAdminKey, async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Not Found', message: 'Unknown scrape run' });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get scrape', message: error.message });
+  }
+});
+
+// Failure bundles saved when a viewport pass fails (requires admin key).
+// Newest first; filter with ?store= and ?limit=
+app.get('/api/debug/failures', validateAdminKey, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit);
+    const bundles = await listFailureBundles({ store: req.query.store });
+    const failures = limit > 0 ? bundles.slice(0, limit) : bundles;
+    res.json({ failures, count: failures.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get failures', message: error.message });
+  }
+});
+
+// One bundle: error, console messages and failed requests, with links to
+// its screenshot and HTML
+app.get('/api/debug/failures/:id', validateAdminKey, async (req, res) => {
+  try {
+    const bundle = await getFailureBundle(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ error: 'Not Found', message: 'Unknown failure bundle' });
+    }
+    const base = `${publicBaseUrl(req)}/api/debug/failures/${bundle.id}`;
+    res.json({
+      ...bundle,
+      screenshotUrl: bundle.hasScreenshot ? `${base}/screenshot.png` : null,
+      htmlUrl: bundle.hasHtml ? `${base}/page.html` : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get failure', message: error.message });
+  }
+});
+
+// The captured page is served as plain text so its scripts never run on our origin
+app.get('/api/debug/failures/:id/:file', validateAdminKey, async (req, res) => {
+  const file = await failureBundleFile(req.params.id, req.params.file);
+  if (!file) {
+    return res.status(404).json({ error: 'Not Found' });
+  }
+  res.sendFile(file, {
+    headers: {
+      'Content-Type': req.params.file === 'page.html' ? 'text/plain; charset=utf-8' : 'image/png',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    }
+  }, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Not Found' });
+  });
+});
+
+// Scoped API keys (requires admin key). The key itself is only returned by POST.
+app.get('/api/keys', validateAdminKey, async (req, res) => {
+  try {
+    const keys = await listKeys();
+    res.json({ keys, count: keys.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get keys', message: error.message });
+  }
+});
+
+app.post('/api/keys', validateAdminKey, async (req, res) => {
+  const { name, scopes, origins, expiresAt, rateLimit } = req.body || {};
+  try {
+    const key = await createKey({ name, scopes, origins, expiresAt, rateLimit });
+    console.log(`[${new Date().toISOString()}] API key "${key.name}" created (${key.scopes.join(', ')})`);
+    res.status(201).json(key);
+  } catch (error) {
+    res.status(400).json({ error: 'Bad Request', message: error.message });
+  }
+});
+
+// Revoke a key; it stays listed with revokedAt set
+app.delete('/api/keys/:id', validateAdminKey, async (req, res) => {
+  try {
+    const key = await revokeKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'Not Found', message: 'Unknown API key' });
+    }
+    console.log(`[${new Date().toISOString()}] API key "${key.name}" revoked`);
+    res.json(key);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke key', message: error.message });
+  }
+});
+
+// Feeds of the current banners (requires API key, e.g. /feeds/banners.rss?key=...)
+app.get('/feeds/banners.:format', validateApiKey, (req, res) => sendFeed(getDefaultStore(), req, res));
+app.get('/feeds/stores/:storeId/banners.:format', validateApiKey, resolveStore, (req, res) => sendFeed(req.store, req, res));
+
 // Serve a ready-to-use HTML carousel widget (requires API key in query param)
+// Pass ?store=<id> to show a store other than the default one, and
+// ?theme=<name> or individual options (see widget-options.js) to style it.
 app.get('/widget', validateApiKey, (req, res) => {
   const apiKey = (req.query.key || '').replace(/[^a-zA-Z0-9_\-]/g, '');
+  const store = req.query.store ? getStore(req.query.store) : getDefaultStore();
+  if (!store) {
+    return res.status(404).json({ error: 'Not Found', message: 'Unknown store' });
+  }
+  const at = parseAt(req);
+  if (at === undefined) {
+    return res.status(400).json({ error: 'Bad Request', message: 'at must be an ISO 8601 date-time' });
+  }
+  let options;
+  try {
+    options = resolveWidgetOptions(req.query);
+  } catch (error) {
+    if (!(error instanceof InvalidWidgetOptionError)) throw error;
+    return res.status(400).json({ error: 'Bad Request', message: error.message });
+  }
+  const bannersPath = req.query.store ? `/api/stores/${store.id}/banners` : '/api/banners';
+  // Previews keep asking for the same moment on every reload
+  const bannersQuery = [
+    apiKey && `key=${apiKey}`,
+    at && `at=${encodeURIComponent(at.toISOString())}`,
+    options.track && 'track=1'
+  ].filter(Boolean).join('&');
+  const apiUrl = `${bannersPath}${bannersQuery ? `?${bannersQuery}` : ''}`;
+  const streamUrl = `${bannersPath}/stream${apiKey ? `?key=${apiKey}` : ''}`;
   res.send(`
 <!DOCTYPE html>
 <html lang="en">
@@ -182,506 +1065,191 @@ app.get('/widget', validateApiKey, (req, res) => {
   <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=5.0">
   <title>Promotions</title>
   <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
     body { font-family: system-ui, sans-serif; }
-    .promo-carousel {
-      width: 100%;
-      max-width: 100vw;
-      overflow: hidden;
-      position: relative;
-      touch-action: pan-y pinch-zoom;
-      cursor: grab;
-      -webkit-user-select: none;
-      user-select: none;
-      -webkit-touch-callout: none;
-      box-sizing: border-box;
-    }
-    .promo-carousel.dragging { cursor: grabbing; }
-    .promo-track {
-      display: flex;
-      transition: transform 0.4s ease;
-    }
-    .promo-slide {
-      min-width: 100%;
-      max-width: 100%;
-      flex-shrink: 0;
-      overflow: hidden;
-      box-sizing: border-box;
-    }
-    .promo-slide img {
-      width: 100% !important;
-      max-width: 100% !important;
-      height: auto !important;
-      display: block;
-      pointer-events: none;
-      -webkit-user-drag: none;
-      -webkit-touch-callout: none;
-    }
-    .promo-slide picture {
-      display: block;
-      width: 100%;
-      max-width: 100%;
-    }
-    .promo-slide a {
-      display: block;
-      width: 100%;
-      max-width: 100%;
-    }
-    .promo-nav {
-      position: absolute;
-      top: 50%;
-      transform: translateY(-50%);
-      background: rgba(0,0,0,0.5);
-      color: white;
-      border: none;
-      padding: 15px 10px;
-      cursor: pointer;
-      font-size: 18px;
-      z-index: 10;
-      transition: background 0.2s;
-    }
-    .promo-nav:hover { background: rgba(0,0,0,0.8); }
-    .promo-prev { left: 0; border-radius: 0 4px 4px 0; }
-    .promo-next { right: 0; border-radius: 4px 0 0 4px; }
-    .promo-dots {
-      text-align: center;
-      padding: 10px 0;
-    }
-    .promo-dot {
-      display: inline-block;
-      width: 10px;
-      height: 10px;
-      border-radius: 50%;
-      background: #ccc;
-      margin: 0 5px;
-      cursor: pointer;
-      transition: all 0.3s;
-    }
-    .promo-dot.active {
-      background: #004a71;
-    }
-    .promo-error {
-      padding: 20px;
-      text-align: center;
-      color: #666;
-    }
-    .promo-counter {
-      position: absolute;
-      top: 8px;
-      right: 8px;
-      background: rgba(0,0,0,0.5);
-      color: #fff;
-      font-size: 12px;
-      padding: 2px 10px;
-      border-radius: 10px;
-      z-index: 10;
-      font-weight: 500;
-      display: none;
-    }
-    .promo-zoom-lens {
-      position: fixed;
-      width: 250px;
-      height: 250px;
-      border-radius: 50%;
-      border: 3px solid rgba(255,255,255,0.9);
-      box-shadow: 0 4px 20px rgba(0,0,0,0.4);
-      pointer-events: none;
-      display: none;
-      z-index: 10000;
-      overflow: hidden;
-      background-repeat: no-repeat;
-      background-color: #000;
-    }
-    .promo-hint {
-      position: absolute;
-      bottom: 35px;
-      left: 50%;
-      transform: translateX(-50%);
-      background: rgba(0,0,0,0.6);
-      color: #fff;
-      font-size: 11px;
-      padding: 4px 12px;
-      border-radius: 12px;
-      z-index: 10;
-      pointer-events: none;
-      white-space: nowrap;
-      opacity: 0;
-      transition: opacity 0.5s;
-    }
-    @media (min-width: 769px) {
-      .promo-hint { display: none !important; }
-    }
-    @media (max-width: 768px) {
-      .promo-carousel { padding-bottom: 50px; }
-      .promo-counter { display: block; }
-      .promo-nav {
-        padding: 10px 8px;
-        font-size: 16px;
-        background: rgba(0,0,0,0.3);
-      }
-      .promo-hint {
-        bottom: 24px;
-      }
-      .promo-dots {
-        position: absolute;
-        bottom: 4px;
-        left: 0;
-        right: 0;
-        padding: 0;
-        pointer-events: none;
-      }
-      .promo-dot {
-        width: 8px;
-        height: 8px;
-        margin: 0 4px;
-        background: rgba(255,255,255,0.5);
-        pointer-events: auto;
-      }
-      .promo-dot.active {
-        background: #fff;
-        transform: scale(1.3);
-      }
-    }
+${CAROUSEL_CSS}
   </style>
 </head>
 <body>
-  <div class="promo-carousel" id="promoCarousel">
-    <div class="promo-track" id="promoTrack"></div>
-    <button type="button" class="promo-nav promo-prev" aria-label="Previous">&lt;</button>
-    <button type="button" class="promo-nav promo-next" aria-label="Next">&gt;</button>
-    <div class="promo-counter" id="promoCounter"></div>
-    <div class="promo-hint" id="promoHint"></div>
-    <div class="promo-dots" id="promoDots"></div>
-  </div>
-
+${CAROUSEL_HTML}
   <script>
-    (function() {
-      const API_KEY = '${apiKey}';
-      const API_URL = window.location.origin + '/api/banners' + (API_KEY ? '?key=' + API_KEY : '');
-      let currentSlide = 0;
-      let slideCount = 0;
-      let autoplayInterval;
-      let startX, startY, isDragging = false, moved = false;
-      var isMobile = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-      var carouselWidth = 0;
-
-      // Zoom state
-      var zoomTimer = null;
-      var isZooming = false;
-      var zoomImg = null;
-      var ZOOM_DELAY = 400;
-      var ZOOM_FACTOR = 2;
-      var LENS_SIZE = 250;
-      var savedScrollY = 0;
-
-      // HTML escape helpers to prevent XSS from scraped data
-      function escAttr(s) {
-        return String(s).replace(/&/g,'&amp;').replace(/"/g,'&quot;').replace(/'/g,'&#39;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
-      }
-      function safeUrl(s) {
-        if (!s) return '';
-        try { var u = new URL(s); return (u.protocol === 'http:' || u.protocol === 'https:') ? escAttr(s) : ''; } catch(e) { return ''; }
-      }
-
-      async function loadBanners() {
-        try {
-          const res = await fetch(API_URL);
-          if (!res.ok) throw new Error('API error');
-          const data = await res.json();
-          renderCarousel(data.banners);
-        } catch (err) {
-          document.getElementById('promoCarousel').innerHTML =
-            '<div class="promo-error">Unable to load promotions</div>';
-        }
-      }
+    (${createDutchieCarousel.toString()})(document, Object.assign({
+      apiUrl: window.location.origin + '${apiUrl}',
+      streamUrl: window.location.origin + '${streamUrl}'
+    }, ${JSON.stringify(options)}));
+  </script>
+</body>
+</html>
+  `);
+});
 
-      function renderCarousel(banners) {
-        const track = document.getElementById('promoTrack');
-        const dots = document.getElementById('promoDots');
-        slideCount = banners.length;
-
-        if (slideCount === 0) {
-          document.getElementById('promoCarousel').innerHTML =
-            '<div class="promo-error">No promotions available</div>';
-          return;
-        }
-
-        track.innerHTML = banners.map(b => {
-          var safeSrc = safeUrl(b.src);
-          var safeAlt = escAttr(b.alt || '');
-          var safeLink = safeUrl(b.link);
-          var safeMobileSrc = b.mobileSrc ? safeUrl(b.mobileSrc) : '';
-          var safeMobileSrcset = b.mobileSrcset ? escAttr(b.mobileSrcset) : '';
-          var mobileSource = '';
-          if (safeMobileSrc) {
-            mobileSource = '<source media="(max-width:768px)"' + (safeMobileSrcset ? ' srcset="' + safeMobileSrcset + '"' : ' srcset="' + safeMobileSrc + '"') + '>';
-          }
-          const img = '<picture>' + mobileSource + '<img src="' + safeSrc + '" alt="' + safeAlt + '" loading="lazy" draggable="false" style="width:100%!important;max-width:100%!important;display:block"></picture>';
-          return '<div class="promo-slide">' +
-            (safeLink ? '<a href="' + safeLink + '" target="_blank" rel="noopener" draggable="false" style="display:block;max-width:100%">' + img + '</a>' : img) +
-            '</div>';
-        }).join('');
-
-        dots.innerHTML = banners.map((_, i) =>
-          '<span class="promo-dot' + (i === 0 ? ' active' : '') + '" data-index="' + i + '"></span>'
-        ).join('');
-
-        // Update counter
-        var counter = document.getElementById('promoCounter');
-        if (counter && slideCount > 0) counter.textContent = '1 / ' + slideCount;
-
-        // Navigation
-        document.querySelector('.promo-prev').onclick = function() { goToSlide(currentSlide - 1); };
-        document.querySelector('.promo-next').onclick = function() { goToSlide(currentSlide + 1); };
-        dots.onclick = function(e) {
-          if (e.target.classList.contains('promo-dot')) {
-            goToSlide(parseInt(e.target.dataset.index));
-          }
-        };
-
-        // Touch/drag support
-        track.addEventListener('touchstart', onStart, {passive: true});
-        track.addEventListener('touchmove', onMove, {passive: false});
-        track.addEventListener('touchend', onEnd);
-        track.addEventListener('touchcancel', function() {
-          clearTimeout(zoomTimer);
-          if (isZooming) { exitZoomMode(); }
-          if (isDragging) { isDragging = false; goToSlide(currentSlide); }
-          document.getElementById('promoCarousel').classList.remove('dragging');
-        });
-        track.addEventListener('mousedown', onStart);
-        track.addEventListener('mousemove', onMove);
-        track.addEventListener('mouseup', onEnd);
-        track.addEventListener('mouseleave', function() { clearTimeout(zoomTimer); if(isDragging) { isDragging=false; goToSlide(currentSlide); }});
-
-        // Prevent link clicks after drag or zoom
-        document.getElementById('promoCarousel').addEventListener('click', function(e) {
-          if (moved || isZooming) { e.preventDefault(); e.stopPropagation(); moved = false; }
-        }, true);
-
-        // Suppress iOS long-press context menu so hold-to-zoom works
-        document.getElementById('promoCarousel').addEventListener('contextmenu', function(e) {
-          e.preventDefault();
-        });
-
-        // Create zoom lens for touch devices
-        if (isMobile) {
-          var lens = document.createElement('div');
-          lens.id = 'promoZoomLens';
-          lens.className = 'promo-zoom-lens';
-          document.body.appendChild(lens);
-        }
-
-        // Hide nav for single banner
-        if (slideCount <= 1) {
-          document.querySelector('.promo-prev').style.display = 'none';
-          document.querySelector('.promo-next').style.display = 'none';
-          document.getElementById('promoDots').style.display = 'none';
-          var ctrEl = document.getElementById('promoCounter');
-          if (ctrEl) ctrEl.style.display = 'none';
-        }
-
-        startAutoplay();
-
-        // Show hint on mobile
-        if (isMobile && slideCount >= 1) {
-          setTimeout(function() {
-            var hint = document.getElementById('promoHint');
-            if (hint) {
-              hint.textContent = slideCount > 1 ? 'Swipe \\u2190\\u2192  \\u2022  Hold to zoom' : 'Hold to zoom';
-              hint.style.opacity = '1';
-            }
-          }, 800);
-        }
-      }
+// Click redirect for tracked banner links (public, like the links themselves).
+// Only ever forwards to the link the banner has, or last had, so it can't be
+// used as an open redirect. Banners are read from the cache as it stands:
+// a public route must never start a scrape.
+app.get('/r/:bannerId', async (req, res) => {
+  const store = trackedStore(req, res);
+  if (!store) return;
+  try {
+    const cache = await readJson(cacheFile(store.id), null);
+    const banners = cache ? applyOverrides(cache, await getOverrides(store.id), { timezone: store.timezone }).banners : [];
+    const current = banners.find(b => trackingId(b) === req.params.bannerId);
+    const banner = current || await getTrackedBanner(store.id, req.params.bannerId);
+    const link = banner && banner.link && /^https?:\/\//i.test(banner.link) ? banner.link : null;
+    if (!link) {
+      return res.status(404).json({ error: 'Not Found', message: 'Unknown banner or banner without a link' });
+    }
+    await recordEvent(store, 'click', req.params.bannerId, eventOrigin(req));
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, link);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to follow banner link', message: error.message });
+  }
+});
 
-      function goToSlide(index) {
-        if (slideCount <= 0) return;
-        currentSlide = ((index % slideCount) + slideCount) % slideCount;
-        var track = document.getElementById('promoTrack');
-        track.style.transition = 'transform 0.4s ease';
-        track.style.transform = 'translateX(-' + (currentSlide * 100) + '%)';
-        document.querySelectorAll('.promo-dot').forEach(function(dot, i) {
-          dot.classList.toggle('active', i === currentSlide);
-        });
-        var counter = document.getElementById('promoCounter');
-        if (counter) counter.textContent = (currentSlide + 1) + ' / ' + slideCount;
-        resetAutoplay();
-      }
+// Impression beacon, sent when a tracked slide becomes visible (public)
+app.post('/r/:bannerId/impression', async (req, res) => {
+  const store = trackedStore(req, res);
+  if (!store) return;
+  try {
+    if (!(await getTrackedBanner(store.id, req.params.bannerId))) {
+      return res.status(404).json({ error: 'Not Found', message: 'Unknown banner' });
+    }
+    await recordEvent(store, 'impression', req.params.bannerId, eventOrigin(req));
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to record impression', message: error.message });
+  }
+});
 
-      function resetAutoplay() {
-        clearInterval(autoplayInterval);
-        if (slideCount > 1) {
-          autoplayInterval = setInterval(function() { goToSlide(currentSlide + 1); }, 5000);
-        }
-      }
+// Script defining the <dutchie-banners> custom element, for pages that embed
+// the carousel inline instead of in an iframe. Public: the API key is an
+// attribute of the element, e.g.
+//   <script src="https://banners.example.com/embed.js" defer></script>
+//   <dutchie-banners api-key="..." store="downtown"></dutchie-banners>
+app.get('/embed.js', (req, res) => {
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.send(`(function() {
+  if (!window.customElements || customElements.get('dutchie-banners')) return;
+  // Banners come from the server this script was loaded from unless api-url says otherwise
+  var scriptOrigin = document.currentScript ? new URL(document.currentScript.src).origin : window.location.origin;
+  var CSS = ${JSON.stringify(`:host { display: block; }\n${CAROUSEL_CSS}`)};
+  var HTML = ${JSON.stringify(CAROUSEL_HTML)};
+  var createDutchieCarousel = ${createDutchieCarousel.toString()};
 
-      function startAutoplay() { resetAutoplay(); }
-
-      function getX(e) { return e.touches ? e.touches[0].clientX : e.clientX; }
-      function getY(e) { return e.touches ? e.touches[0].clientY : e.clientY; }
-
-      function onStart(e) {
-        if (isZooming) return;
-        startX = getX(e); startY = getY(e);
-        isDragging = true; moved = false;
-        carouselWidth = document.getElementById('promoCarousel').offsetWidth;
-        document.getElementById('promoTrack').style.transition = 'none';
-        document.getElementById('promoCarousel').classList.add('dragging');
-        clearInterval(autoplayInterval);
-
-        // Start zoom detection on touch (capture touch data now since event may be recycled)
-        if (e.touches) {
-          var touchData = {clientX: e.touches[0].clientX, clientY: e.touches[0].clientY};
-          clearTimeout(zoomTimer);
-          zoomTimer = setTimeout(function() {
-            if (isDragging && !moved) {
-              enterZoomMode(touchData);
-            }
-          }, ZOOM_DELAY);
-        }
-      }
+  class DutchieBanners extends HTMLElement {
+    static get observedAttributes() { return ['api-url', 'api-key', 'store', 'autoplay', 'track']; }
 
-      function onMove(e) {
-        // Handle zoom movement
-        if (isZooming) {
-          if (e.touches) { e.preventDefault(); updateZoom(e.touches[0]); }
-          return;
-        }
-        if (!isDragging) return;
-        var dx = getX(e) - startX, dy = getY(e) - startY;
-        if (Math.abs(dx) > Math.abs(dy) && Math.abs(dx) > 10) {
-          e.preventDefault();
-          document.getElementById('promoTrack').style.transform = 'translateX(calc(-' + (currentSlide * 100) + '% + ' + dx + 'px))';
-          if (Math.abs(dx) > 20) { moved = true; clearTimeout(zoomTimer); }
-        } else if (Math.abs(dy) > 30) {
-          isDragging = false;
-          clearTimeout(zoomTimer);
-          document.getElementById('promoTrack').style.transform = 'translateX(-' + (currentSlide * 100) + '%)';
-          document.getElementById('promoCarousel').classList.remove('dragging');
-          resetAutoplay();
-        }
-      }
+    connectedCallback() {
+      if (!this.shadowRoot) this.attachShadow({ mode: 'open' });
+      this.shadowRoot.innerHTML = '<style>' + CSS + '</style>' + HTML;
+      var store = this.getAttribute('store');
+      var url = new URL(store ? '/api/stores/' + encodeURIComponent(store) + '/banners' : '/api/banners',
+        this.getAttribute('api-url') || scriptOrigin);
+      if (this.getAttribute('api-key')) url.searchParams.set('key', this.getAttribute('api-key'));
+      var track = this.hasAttribute('track') && this.getAttribute('track') !== 'false';
+      if (track) url.searchParams.set('track', '1');
+      var streamUrl = new URL(url.toString());
+      streamUrl.pathname += '/stream';
+      streamUrl.searchParams.delete('track');
+      this.carousel = createDutchieCarousel(this.shadowRoot, {
+        apiUrl: url.toString(),
+        streamUrl: streamUrl.toString(),
+        autoplay: this.getAttribute('autoplay') !== 'false',
+        track: track
+      });
+    }
 
-      function onEnd(e) {
-        clearTimeout(zoomTimer);
-        document.getElementById('promoCarousel').classList.remove('dragging');
-        if (isZooming) { exitZoomMode(); return; }
-        if (!isDragging) return;
-        isDragging = false;
-        var dx = (e.changedTouches ? e.changedTouches[0].clientX : e.clientX) - startX;
-        var threshold = isMobile ? carouselWidth * 0.08 : carouselWidth * 0.15;
-        if (Math.abs(dx) > threshold) {
-          goToSlide(dx < 0 ? currentSlide + 1 : currentSlide - 1);
-        } else {
-          goToSlide(currentSlide);
-        }
-      }
+    disconnectedCallback() {
+      if (this.carousel) this.carousel.destroy();
+      this.carousel = null;
+    }
 
-      // === Press-and-hold zoom magnifier ===
-      function lockScroll() {
-        savedScrollY = window.scrollY;
-        document.body.style.position = 'fixed';
-        document.body.style.top = '-' + savedScrollY + 'px';
-        document.body.style.left = '0';
-        document.body.style.right = '0';
-        document.body.style.overflow = 'hidden';
-      }
-      function unlockScroll() {
-        document.body.style.position = '';
-        document.body.style.top = '';
-        document.body.style.left = '';
-        document.body.style.right = '';
-        document.body.style.overflow = '';
-        window.scrollTo(0, savedScrollY);
-      }
+    // Start over with the new settings
+    attributeChangedCallback() {
+      if (!this.carousel) return;
+      this.disconnectedCallback();
+      this.connectedCallback();
+    }
+  }
 
-      function enterZoomMode(touch) {
-        isDragging = false;
-        isZooming = true;
-        document.getElementById('promoCarousel').style.touchAction = 'none';
-        lockScroll();
-        var slides = document.querySelectorAll('.promo-slide');
-        var currentSlideEl = slides[currentSlide];
-        if (!currentSlideEl) { exitZoomMode(); return; }
-        zoomImg = currentSlideEl.querySelector('img');
-        if (!zoomImg) { exitZoomMode(); return; }
-        var lens = document.getElementById('promoZoomLens');
-        if (!lens) { exitZoomMode(); return; }
-        lens.style.backgroundImage = 'url("' + (zoomImg.currentSrc || zoomImg.src) + '")';
-        lens.style.display = 'block';
-        // Snap track to current slide
-        var track = document.getElementById('promoTrack');
-        track.style.transition = 'none';
-        track.style.transform = 'translateX(-' + (currentSlide * 100) + '%)';
-        updateZoom(touch);
-      }
+  customElements.define('dutchie-banners', DutchieBanners);
+})();
+`);
+});
 
-      function updateZoom(touch) {
-        var lens = document.getElementById('promoZoomLens');
-        if (!lens || !zoomImg) return;
-        var rect = zoomImg.getBoundingClientRect();
-        // Account for object-fit:cover - calculate actual displayed image dimensions
-        var nw = zoomImg.naturalWidth || rect.width, nh = zoomImg.naturalHeight || rect.height;
-        var sc = Math.max(rect.width / nw, rect.height / nh);
-        var dw = nw * sc, dh = nh * sc;
-        var ox = (rect.width - dw) / 2, oy = (rect.height - dh) / 2;
-        var relX = Math.max(0, Math.min(1, (touch.clientX - rect.left - ox) / dw));
-        var relY = Math.max(0, Math.min(1, (touch.clientY - rect.top - oy) / dh));
-        var bgW = dw * ZOOM_FACTOR;
-        var bgH = dh * ZOOM_FACTOR;
-        var bgX = -(relX * bgW - LENS_SIZE / 2);
-        var bgY = -(relY * bgH - LENS_SIZE / 2);
-        lens.style.backgroundSize = bgW + 'px ' + bgH + 'px';
-        lens.style.backgroundPosition = bgX + 'px ' + bgY + 'px';
-        // Position lens above finger, keep on screen
-        var lensX = touch.clientX - LENS_SIZE / 2;
-        var lensY = touch.clientY - LENS_SIZE - 40;
-        lensX = Math.max(5, Math.min(window.innerWidth - LENS_SIZE - 5, lensX));
-        if (lensY < 5) lensY = touch.clientY + 40;
-        if (lensY + LENS_SIZE > window.innerHeight - 5) lensY = window.innerHeight - LENS_SIZE - 5;
-        lens.style.left = lensX + 'px';
-        lens.style.top = lensY + 'px';
-      }
+// Banners with a schedule start and stop showing without any scrape, and
+// `node scraper.js` publishes from another process. Once a minute, compare
+// what each store with open widgets would serve and send an event when it
+// changed and nothing else has announced it.
+const SCHEDULE_CHECK_INTERVAL = 60 * 1000;
+const servedBanners = {}; // store id -> { scrapedAt, ids, checkedAt }
 
-      function exitZoomMode() {
-        isZooming = false;
-        zoomImg = null;
-        moved = true; // Prevent accidental link click after zoom
-        document.getElementById('promoCarousel').style.touchAction = '';
-        unlockScroll();
-        var lens = document.getElementById('promoZoomLens');
-        if (lens) lens.style.display = 'none';
-        resetAutoplay();
+async function checkServedBanners() {
+  for (const store of stores) {
+    if (streamClientCount(store.id) === 0) {
+      delete servedBanners[store.id];
+      continue;
+    }
+    try {
+      const cache = await readJson(cacheFile(store.id), null);
+      if (!cache) continue;
+      const served = applyOverrides(cache, await getOverrides(store.id), { timezone: store.timezone });
+      const current = { scrapedAt: cache.scrapedAt, ids: served.banners.map(b => b.id).join(','), checkedAt: Date.now() };
+      const previous = servedBanners[store.id];
+      servedBanners[store.id] = current;
+      if (!previous || lastBannerUpdate(store.id) >= previous.checkedAt) continue;
+      if (current.scrapedAt !== previous.scrapedAt) {
+        publishBannerUpdate(store.id, 'scrape');
+      } else if (current.ids !== previous.ids) {
+        publishBannerUpdate(store.id, 'schedule');
       }
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] [${store.id}] Failed to check banner schedules: ${error.message}`);
+    }
+  }
+}
 
-      // Clean up zoom state if user leaves page mid-zoom (tab switch, back button)
-      document.addEventListener('visibilitychange', function() {
-        if (document.hidden && isZooming) { exitZoomMode(); }
-      });
-      window.addEventListener('pagehide', function() {
-        if (isZooming) { exitZoomMode(); }
-      });
-
-      loadBanners();
-    })();
-  </script>
-</body>
-</html>
-  `);
-});
+// Check just after each minute starts, when schedule windows open and close
+function scheduleServedBannerChecks() {
+  setTimeout(() => {
+    checkServedBanners();
+    setInterval(checkServedBanners, SCHEDULE_CHECK_INTERVAL);
+  }, SCHEDULE_CHECK_INTERVAL - (Date.now() % SCHEDULE_CHECK_INTERVAL) + 1000);
+}
 
 // Start server
 app.listen(PORT, () => {
   console.log(`[${new Date().toISOString()}] Dutchie Banner API running on port ${PORT}`);
-  console.log(`API Key protection: ${API_KEY ? 'ENABLED' : 'DISABLED'}`);
+  // API_KEY, ADMIN_API_KEY or a key created through /api/keys turns it on
+  authRequired().then(required => console.log(`API Key protection: ${required ? 'ENABLED' : 'DISABLED'}`));
   console.log(`Allowed origins: ${ALLOWED_ORIGINS.join(', ')}`);
   console.log(`Scrape interval: ${SCRAPE_INTERVAL / 60000} minutes`);
+  console.log(`Stores: ${stores.map(s => s.id).join(', ')}`);
+  if (Object.keys(widgetThemes).length > 0) {
+    console.log(`Widget themes: ${Object.keys(widgetThemes).join(', ')}`);
+  }
 
-  // Initial scrape on startup
+  // Initial scrape on startup, one store at a time
   console.log('[STARTUP] Running initial scrape...');
-  performScrape().catch(() => {});
+  (async () => {
+    await loadRunStatus();
+    await loadQuarantineStatus();
+    for (const store of stores) {
+      await startScrape(store.id, 'startup').done.catch(() => {});
+    }
+  })();
 
   // Schedule periodic scrapes
-  scheduleNextScrape();
+  scheduleAllStores();
+  scheduleServedBannerChecks();
 });
+
+// End open event streams, save batched click and impression counts and
+// close the warm browser before exiting (docker stop sends SIGTERM)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    closeStreams();
+    Promise.allSettled([flushAnalytics(), closeBrowser()]).finally(() => process.exit(0));
+  });
+}
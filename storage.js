@@ -0,0 +1,36 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Read a JSON file, returning `fallback` when it doesn't exist yet
+async function readJson(file, fallback) {
+  try {
+    const data = await fs.readFile(file, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Save to file atomically (write temp, then rename)
+async function writeJson(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = file + '.tmp';
+  await fs.writeFile(tmpFile, JSON.stringify(value, null, 2));
+  await fs.rename(tmpFile, file);
+}
+
+/**
+ * Serialize async writers to the same file so concurrent updates can't
+ * interleave a read-modify-write. Returns a function that queues a task.
+ */
+function createWriteQueue() {
+  let queue = Promise.resolve();
+  return (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = { readJson, writeJson, createWriteQueue };
@@ -0,0 +1,92 @@
+const path = require('path');
+const { isValidTimezone } = require('./schedule');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const STORE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Parse the configured stores from the environment.
+ *
+ * STORES is a comma-separated list of `id=url` pairs, e.g.
+ *   STORES=downtown=https://dutchie.com/embedded-menu/a/?menuType=rec,eastside=https://...
+ * When STORES is not set, DUTCHIE_URL is used as a single store named "default".
+ * The first store in the list is the default store served by /api/banners.
+ */
+function loadStores() {
+  const stores = [];
+
+  if (process.env.STORES) {
+    for (const entry of process.env.STORES.split(',')) {
+      const trimmed = entry.trim();
+      if (!trimmed) continue;
+
+      // Split on the first '=' only, Dutchie URLs carry their own query string
+      const sep = trimmed.indexOf('=');
+      const id = sep > 0 ? trimmed.slice(0, sep).trim() : '';
+      const url = sep > 0 ? trimmed.slice(sep + 1).trim() : '';
+
+      if (!STORE_ID_PATTERN.test(id) || !url) {
+        throw new Error(`Invalid STORES entry "${trimmed}". Use id=url with an id of letters, numbers, "-" or "_".`);
+      }
+      if (stores.some(s => s.id === id)) {
+        throw new Error(`Duplicate store id "${id}" in STORES`);
+      }
+      stores.push({ id, url });
+    }
+  } else if (process.env.DUTCHIE_URL) {
+    stores.push({ id: 'default', url: process.env.DUTCHIE_URL });
+  }
+
+  if (stores.length === 0) {
+    throw new Error('DUTCHIE_URL environment variable is required. Set it to your Dutchie embedded menu URL, or set STORES for multiple menus.');
+  }
+
+  const timezones = loadTimezones(stores);
+  for (const store of stores) {
+    store.timezone = timezones[store.id] || process.env.TZ || 'UTC';
+  }
+
+  return stores;
+}
+
+/**
+ * STORE_TIMEZONES sets the timezone banner schedules are evaluated in, per
+ * store: `id=America/Denver,id2=America/Chicago`. Stores not listed use TZ.
+ */
+function loadTimezones(stores) {
+  const timezones = {};
+  for (const entry of (process.env.STORE_TIMEZONES || '').split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const [id, timezone] = trimmed.split('=').map(part => part.trim());
+    if (!stores.some(s => s.id === id) || !timezone || !isValidTimezone(timezone)) {
+      throw new Error(`Invalid STORE_TIMEZONES entry "${trimmed}". Use id=timezone with a configured store id and an IANA timezone.`);
+    }
+    timezones[id] = timezone;
+  }
+  return timezones;
+}
+
+let stores = null;
+
+function getStores() {
+  if (!stores) stores = loadStores();
+  return stores;
+}
+
+function getStore(storeId) {
+  if (typeof storeId !== 'string' || !STORE_ID_PATTERN.test(storeId)) return null;
+  return getStores().find(s => s.id === storeId) || null;
+}
+
+function getDefaultStore() {
+  return getStores()[0];
+}
+
+// Each store keeps its cache and other runtime files in its own directory
+function storeDataDir(storeId) {
+  return path.join(DATA_DIR, 'stores', storeId);
+}
+
+module.exports = { DATA_DIR, getStores, getStore, getDefaultStore, storeDataDir };
@@ -0,0 +1,85 @@
+// Server-Sent Events for open widgets, so kiosks pick up new banners without
+// a reload. Clients are grouped by store; events only say that something
+// changed and clients refetch their own banners URL (key, store, tracking).
+
+const HEARTBEAT_INTERVAL = 25000; // keeps proxies from closing idle streams
+const RETRY_DELAY = 5000; // reconnect delay suggested to EventSource
+
+// store id -> Set of open responses
+const clients = new Map();
+let lastEventId = 0;
+
+/**
+ * Turn `res` into an event stream for the store. The stream stays open until
+ * the client disconnects or closeStreams() is called.
+ */
+function openStream(storeId, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx and similar proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  if (!clients.has(storeId)) clients.set(storeId, new Set());
+  clients.get(storeId).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.get(storeId).delete(res);
+  });
+}
+
+// Send an event to every client of the store
+function publish(storeId, event, data) {
+  const subscribers = clients.get(storeId);
+  if (!subscribers || subscribers.size === 0) return;
+  lastEventId++;
+  const message = `id: ${lastEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of subscribers) {
+    res.write(message);
+  }
+}
+
+// store id -> time (ms) of the last banners event
+const lastBannerUpdates = new Map();
+
+/**
+ * Tell open widgets that the store's banners changed. `reason` is scrape,
+ * quarantine_approved, overrides or schedule; `changes` is a scrape's diff.
+ */
+function publishBannerUpdate(storeId, reason, changes = null) {
+  lastBannerUpdates.set(storeId, Date.now());
+  publish(storeId, 'banners', {
+    store: storeId,
+    reason,
+    at: new Date().toISOString(),
+    ...(changes && {
+      added: changes.added.length,
+      removed: changes.removed.length,
+      reordered: changes.reordered.length > 0
+    })
+  });
+}
+
+// When the store's last banners event was sent (ms), 0 if never
+function lastBannerUpdate(storeId) {
+  return lastBannerUpdates.get(storeId) || 0;
+}
+
+function streamClientCount(storeId) {
+  return clients.has(storeId) ? clients.get(storeId).size : 0;
+}
+
+// End every stream, e.g. on shutdown; clients reconnect to the next instance
+function closeStreams() {
+  for (const subscribers of clients.values()) {
+    for (const res of subscribers) res.end();
+  }
+}
+
+module.exports = { openStream, publish, publishBannerUpdate, lastBannerUpdate, streamClientCount, closeStreams };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+
+const DESKTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const TABLET_UA = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const MOBILE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+/**
+ * Viewport passes the scraper runs, in order:
+ *   name      - key used in each banner's `variants` map
+ *   width     - viewport width in CSS pixels
+ *   height    - viewport height in CSS pixels
+ *   userAgent - user agent sent for the pass
+ *   media     - media query the pass's art applies to (<source media>)
+ * The first pass is canonical: it defines the banner list and has no media
+ * query. Later passes contribute per-breakpoint art. Keep their media queries
+ * non-overlapping so <source> order doesn't matter.
+ */
+const BUILTIN_PASSES = [
+  { name: 'desktop', width: 1400, height: 900, userAgent: DESKTOP_UA, media: null },
+  { name: 'tablet', width: 820, height: 1180, userAgent: TABLET_UA, media: '(min-width:769px) and (max-width:1199px)' },
+  { name: 'mobile', width: 390, height: 844, userAgent: MOBILE_UA, media: '(max-width:768px)' }
+];
+
+const PASS_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+function validatePass(pass, index, source) {
+  const valid = pass &&
+    typeof pass.name === 'string' && PASS_NAME_PATTERN.test(pass.name) &&
+    Number.isInteger(pass.width) && pass.width > 0 &&
+    Number.isInteger(pass.height) && pass.height > 0 &&
+    (index === 0 || (typeof pass.media === 'string' && pass.media.length > 0));
+  if (!valid) {
+    throw new Error(`Invalid viewport pass #${index + 1} in ${source}: each pass needs a "name", integer "width" and "height", and every pass after the first a "media" query`);
+  }
+  return {
+    name: pass.name,
+    width: pass.width,
+    height: pass.height,
+    userAgent: typeof pass.userAgent === 'string' ? pass.userAgent : DESKTOP_UA,
+    media: index === 0 ? null : pass.media
+  };
+}
+
+let passes = null;
+
+/**
+ * Passes from the JSON file named by VIEWPORTS_FILE (an array of passes)
+ * replace the built-in desktop, tablet and mobile passes.
+ */
+function getViewportPasses() {
+  if (passes) return passes;
+
+  const file = process.env.VIEWPORTS_FILE;
+  if (!file) {
+    passes = BUILTIN_PASSES;
+    return passes;
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error(`${file} must contain a non-empty array of viewport passes`);
+  }
+  const configured = parsed.map((pass, i) => validatePass(pass, i, file));
+  const names = new Set(configured.map(p => p.name));
+  if (names.size !== configured.length) {
+    throw new Error(`Duplicate viewport pass names in ${file}`);
+  }
+
+  passes = configured;
+  return passes;
+}
+
+module.exports = { DESKTOP_UA, TABLET_UA, MOBILE_UA, BUILTIN_PASSES, getViewportPasses };
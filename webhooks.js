@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR } = require('./stores');
+const { readJson, writeJson, createWriteQueue } = require('./storage');
+const { localizeBanner } = require('./images');
+const { getOverrides, applyOverrides } = require('./overrides');
+
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const DELIVERIES_FILE = path.join(DATA_DIR, 'webhook-deliveries.json');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY = 10000; // 10 seconds, doubled after each failed attempt
+const REQUEST_TIMEOUT = 10000;
+const DELIVERY_LOG_LIMIT = parseInt(process.env.WEBHOOK_LOG_LIMIT) || 500;
+// Deliveries have no request to take a host from, so mirrored image URLs need
+// PUBLIC_URL; without it payloads point at Dutchie's CDN
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '') || null;
+
+const enqueueWebhookWrite = createWriteQueue();
+const enqueueDeliveryWrite = createWriteQueue();
+
+// Delivery log is kept in memory and persisted after every change. Loading
+// is shared, so concurrent first callers don't each read their own copy.
+let deliveries = null;
+let deliveriesLoad = null;
+// Notifications being queued and delivery attempts in progress (not retries
+// still waiting for their timer)
+const inFlight = new Set();
+
+function track(promise) {
+  inFlight.add(promise);
+  promise.finally(() => inFlight.delete(promise)).catch(() => {});
+  return promise;
+}
+
+async function loadDeliveries() {
+  if (!deliveriesLoad) {
+    deliveriesLoad = readJson(DELIVERIES_FILE, []).then(list => {
+      // Retry timers don't survive a restart
+      for (const d of list) {
+        if (d.status === 'pending') {
+          d.status = 'failed';
+          d.error = 'Interrupted by server restart';
+          d.completedAt = new Date().toISOString();
+        }
+      }
+      deliveries = list;
+    });
+  }
+  await deliveriesLoad;
+  return deliveries;
+}
+
+function saveDeliveries() {
+  return enqueueDeliveryWrite(() => {
+    deliveries = deliveries.slice(-DELIVERY_LOG_LIMIT);
+    return writeJson(DELIVERIES_FILE, deliveries);
+  });
+}
+
+function readWebhooks() {
+  return readJson(WEBHOOKS_FILE, []);
+}
+
+// Secrets are only returned when a webhook is created
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+function validateWebhookUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+async function listWebhooks() {
+  return (await readWebhooks()).map(publicWebhook);
+}
+
+/**
+ * Register a webhook subscription. `stores` limits it to the given store ids
+ * (all stores when omitted). A signing secret is generated if none is given.
+ */
+function createWebhook({ url, secret, stores, description }) {
+  if (!validateWebhookUrl(url)) {
+    throw new Error('url must be an http(s) URL');
+  }
+  if (stores != null && (!Array.isArray(stores) || !stores.every(s => typeof s === 'string'))) {
+    throw new Error('stores must be an array of store ids');
+  }
+
+  return enqueueWebhookWrite(async () => {
+    const webhooks = await readWebhooks();
+    const webhook = {
+      id: crypto.randomUUID(),
+      url,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      stores: stores && stores.length > 0 ? stores : null,
+      description: description || '',
+      createdAt: new Date().toISOString()
+    };
+    webhooks.push(webhook);
+    await writeJson(WEBHOOKS_FILE, webhooks);
+    return webhook;
+  });
+}
+
+function deleteWebhook(id) {
+  return enqueueWebhookWrite(async () => {
+    const webhooks = await readWebhooks();
+    const remaining = webhooks.filter(w => w.id !== id);
+    if (remaining.length === webhooks.length) return false;
+    await writeJson(WEBHOOKS_FILE, remaining);
+    return true;
+  });
+}
+
+async function getDeliveries({ webhookId, status, limit } = {}) {
+  let list = await loadDeliveries();
+  if (webhookId) list = list.filter(d => d.webhookId === webhookId);
+  if (status) list = list.filter(d => d.status === status);
+  list = list.slice().reverse();
+  return limit > 0 ? list.slice(0, limit) : list;
+}
+
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// One-line summary for humans (and Slack's incoming webhook `text` field)
+function summarizeChanges(storeId, changes) {
+  const parts = [];
+  if (changes.added.length) parts.push(`${changes.added.length} added`);
+  if (changes.removed.length) parts.push(`${changes.removed.length} removed`);
+  if (changes.reordered.length) parts.push(`${changes.reordered.length} reordered`);
+  if (changes.linkChanged.length) parts.push(`${changes.linkChanged.length} link changed`);
+  if (changes.mobileChanged.length) parts.push(`${changes.mobileChanged.length} mobile image changed`);
+  return `Dutchie banners changed for ${storeId}: ${parts.join(', ')}`;
+}
+
+async function attemptDelivery(delivery, webhook, body) {
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DutchieBannerAPI-Webhook/1.0',
+        'X-Dutchie-Event': delivery.event,
+        'X-Dutchie-Delivery': delivery.id,
+        'X-Dutchie-Signature': sign(webhook.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    attempt.statusCode = response.status;
+    if (!response.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'success';
+    delivery.error = null;
+    delivery.completedAt = new Date().toISOString();
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.error = attempt.error;
+    delivery.completedAt = new Date().toISOString();
+    console.error(`[${new Date().toISOString()}] Webhook ${webhook.id} delivery ${delivery.id} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  } else {
+    delivery.error = attempt.error;
+    const delay = RETRY_BASE_DELAY * Math.pow(2, delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    console.warn(`[${new Date().toISOString()}] Webhook ${webhook.id} delivery failed (${attempt.error}), retrying in ${delay / 1000} seconds`);
+    setTimeout(() => {
+      attemptDelivery(delivery, webhook, body).catch(() => {});
+    }, delay);
+  }
+
+  if (delivery.status !== 'pending') delete delivery.nextAttemptAt;
+  await saveDeliveries();
+}
+
+/**
+ * Notify every webhook subscribed to a store that its banner set changed.
+ * `result` is the published scrape with its `changes`; the payload lists the
+ * banners as served, with the store's overrides applied. Deliveries run in
+ * the background; this only waits for them to be logged.
+ */
+function notifyBannerChange(store, result) {
+  return track(queueDeliveries(store, result));
+}
+
+async function queueDeliveries(store, result) {
+  const storeId = store.id;
+  const webhooks = (await readWebhooks()).filter(w => !w.stores || w.stores.includes(storeId));
+  if (webhooks.length === 0) return;
+
+  const served = applyOverrides(result, await getOverrides(storeId), { timezone: store.timezone });
+  await loadDeliveries();
+
+  for (const webhook of webhooks) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      event: 'banners.changed',
+      store: storeId,
+      url: webhook.url,
+      status: 'pending',
+      error: null,
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    const body = JSON.stringify({
+      event: delivery.event,
+      deliveryId: delivery.id,
+      store: storeId,
+      text: summarizeChanges(storeId, result.changes),
+      changes: result.changes,
+      banners: served.banners.map(b => localizeBanner(b, PUBLIC_URL)),
+      count: served.count,
+      scrapedAt: result.scrapedAt
+    });
+
+    deliveries.push(delivery);
+    track(attemptDelivery(delivery, webhook, body).catch(err => {
+      console.error(`[${new Date().toISOString()}] Webhook delivery error:`, err.message);
+    }));
+  }
+
+  await saveDeliveries();
+}
+
+// Wait for notifications and first delivery attempts in progress, e.g.
+// before the CLI exits. Queuing a notification starts more attempts.
+async function settleDeliveries() {
+  while (inFlight.size > 0) {
+    await Promise.allSettled([...inFlight]);
+  }
+}
+
+module.exports = { listWebhooks, createWebhook, deleteWebhook, getDeliveries, notifyBannerChange, settleDeliveries };
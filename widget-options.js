@@ -0,0 +1,153 @@
+// Display options for the /widget carousel, from query parameters or a named
+// theme in WIDGET_THEMES_FILE. Every value is validated here because it ends
+// up in the page's script and styles.
+const fs = require('fs');
+
+const WIDGET_DEFAULTS = {
+  autoplay: true,
+  interval: 5000,
+  transition: 'slide',
+  dots: true,
+  arrows: true,
+  accent: null,
+  aspect: null,
+  zoom: 2,
+  loop: true,
+  startIndex: 0,
+  track: false
+};
+
+const TRANSITIONS = ['slide', 'fade'];
+const MIN_INTERVAL = 1000;
+const MAX_INTERVAL = 60000;
+const MIN_ZOOM = 1.5;
+const MAX_ZOOM = 5;
+// Hex colors only, so nothing but a color can reach the stylesheet
+const ACCENT_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const ASPECT_PATTERN = /^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/;
+
+class InvalidWidgetOptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidWidgetOptionError';
+    this.code = 'INVALID_WIDGET_OPTION';
+  }
+}
+
+function parseBoolean(name, value) {
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  throw new InvalidWidgetOptionError(`${name} must be true or false`);
+}
+
+function parseNumber(name, value, min, max, integer) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    throw new InvalidWidgetOptionError(`${name} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+  }
+  return number;
+}
+
+const PARSERS = {
+  autoplay: (value) => parseBoolean('autoplay', value),
+  interval: (value) => parseNumber('interval', value, MIN_INTERVAL, MAX_INTERVAL, true),
+  transition: (value) => {
+    if (!TRANSITIONS.includes(value)) {
+      throw new InvalidWidgetOptionError(`transition must be one of: ${TRANSITIONS.join(', ')}`);
+    }
+    return value;
+  },
+  dots: (value) => parseBoolean('dots', value),
+  // true, false, or "hover" to show them only while the pointer is over the carousel
+  arrows: (value) => (value === 'hover' ? 'hover' : parseBoolean('arrows', value)),
+  accent: (value) => {
+    if (typeof value !== 'string' || !ACCENT_PATTERN.test(value)) {
+      throw new InvalidWidgetOptionError('accent must be a hex color such as #004a71');
+    }
+    return value.toLowerCase();
+  },
+  // "16:9", "16/9" or "3x1"; slides are cropped to fill that shape
+  aspect: (value) => {
+    const match = typeof value === 'string' ? value.trim().match(ASPECT_PATTERN) : null;
+    if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+      throw new InvalidWidgetOptionError('aspect must be a ratio such as 16:9');
+    }
+    return `${Number(match[1])} / ${Number(match[2])}`;
+  },
+  // Magnification of hold-to-zoom, or false to turn it off
+  zoom: (value) => {
+    if (value === false || value === 'false' || value === '0') return false;
+    return parseNumber('zoom', value, MIN_ZOOM, MAX_ZOOM, false);
+  },
+  loop: (value) => parseBoolean('loop', value),
+  startIndex: (value) => parseNumber('startIndex', value, 0, 1000, true),
+  // Route links through /r/:bannerId and send impression beacons (see analytics.js)
+  track: (value) => parseBoolean('track', value)
+};
+
+// Validate the known options in `source`, ignoring anything else (key, store, at...)
+function parseOptions(source) {
+  const options = {};
+  for (const [name, parse] of Object.entries(PARSERS)) {
+    if (source[name] === undefined || source[name] === null) continue;
+    if (Array.isArray(source[name])) {
+      throw new InvalidWidgetOptionError(`${name} was given more than once`);
+    }
+    options[name] = parse(source[name]);
+  }
+  return options;
+}
+
+let themes = null;
+
+/**
+ * Themes from the JSON file named by WIDGET_THEMES_FILE, an object of
+ * theme name -> options, e.g. { "dark": { "accent": "#ffcc00", "arrows": "hover" } }.
+ */
+function getWidgetThemes() {
+  if (themes) return themes;
+
+  const file = process.env.WIDGET_THEMES_FILE;
+  if (!file) {
+    themes = {};
+    return themes;
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${file} must contain an object of widget themes`);
+  }
+  const loaded = {};
+  for (const [name, options] of Object.entries(parsed)) {
+    const unknown = Object.keys(options || {}).filter(k => !(k in PARSERS));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown option(s) in widget theme "${name}" in ${file}: ${unknown.join(', ')}`);
+    }
+    try {
+      loaded[name] = parseOptions(options);
+    } catch (error) {
+      throw new Error(`Invalid widget theme "${name}" in ${file}: ${error.message}`);
+    }
+  }
+
+  themes = loaded;
+  return themes;
+}
+
+/**
+ * The widget's options for a request: the defaults, then the theme named by
+ * `query.theme`, then any options given directly in the query.
+ * Throws InvalidWidgetOptionError for an unknown theme or invalid value.
+ */
+function resolveWidgetOptions(query) {
+  let theme = {};
+  if (query.theme !== undefined) {
+    theme = typeof query.theme === 'string' && Object.hasOwn(getWidgetThemes(), query.theme) ? getWidgetThemes()[query.theme] : null;
+    if (!theme) {
+      throw new InvalidWidgetOptionError(`Unknown theme (configured: ${Object.keys(getWidgetThemes()).join(', ') || 'none'})`);
+    }
+  }
+  return { ...WIDGET_DEFAULTS, ...theme, ...parseOptions(query) };
+}
+
+module.exports = { WIDGET_DEFAULTS, InvalidWidgetOptionError, getWidgetThemes, resolveWidgetOptions };
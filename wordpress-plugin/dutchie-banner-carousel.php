@@ -240,12 +240,23 @@ class DutchieBannerCarousel {
         $alt = esc_attr($b['alt'] ?? '');
         $mobile_src = !empty($b['mobileSrc']) ? esc_url($b['mobileSrc']) : '';
         $mobile_srcset = !empty($b['mobileSrcset']) ? esc_attr($b['mobileSrcset']) : '';
+        // Per-viewport sources (with a media query) and WebP/AVIF sources from the API
+        $sources = '';
+        $has_mobile_sources = false;
+        if (!empty($b['sources']) && is_array($b['sources'])) {
+            foreach ($b['sources'] as $s) {
+                if (empty($s['srcset']) || (empty($s['type']) && empty($s['media']))) continue;
+                if (!empty($s['media'])) $has_mobile_sources = true;
+                $sources .= '<source' . (!empty($s['media']) ? ' media="' . esc_attr($s['media']) . '"' : '') . (!empty($s['type']) ? ' type="' . esc_attr($s['type']) . '"' : '') . ' srcset="' . esc_attr($s['srcset']) . '"' . (!empty($s['sizes']) ? ' sizes="' . esc_attr($s['sizes']) . '"' : '') . '>';
+            }
+        }
         $source = '';
-        if ($mobile_src) {
+        if ($mobile_src && !$has_mobile_sources) {
             $srcset_val = $mobile_srcset ? $mobile_srcset : $mobile_src;
             $source = '<source media="(max-width:768px)" srcset="' . $srcset_val . '">';
         }
-        return '<picture>' . $source . '<img src="' . $src . '" alt="' . $alt . '"' . $extra_attrs . '></picture>';
+        $img_srcset = (!empty($b['srcset']) && !empty($b['sizes'])) ? ' srcset="' . esc_attr($b['srcset']) . '" sizes="' . esc_attr($b['sizes']) . '"' : '';
+        return '<picture>' . $source . $sources . '<img src="' . $src . '"' . $img_srcset . ' alt="' . $alt . '"' . $extra_attrs . '></picture>';
     }
 
     public function shortcode_banners($atts) {